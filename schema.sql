@@ -3,12 +3,239 @@
 
 CREATE TABLE IF NOT EXISTS images (
     id TEXT PRIMARY KEY,
-    source_url TEXT UNIQUE,
+    tenant_id TEXT NOT NULL DEFAULT 'default', -- Tenant of the uploading key; scopes every authenticated read
+    owner_id TEXT,                          -- Owner of the uploading key ('admin-token' for ADMIN_TOKEN)
+    r2_key TEXT,                            -- <tenant_id>/<id>; NULL = stored under the bare id (pre-tenancy)
+    visibility TEXT NOT NULL DEFAULT 'public' -- 'private' images are only served through signed links
+        CHECK (visibility IN ('public', 'private')),
+    source_url TEXT,                        -- Dedup key within a tenant
     alt_text TEXT,
+    alt_text_source TEXT CHECK (alt_text_source IN ('human', 'ai')), -- Who wrote alt_text; NULL while pending
+    caption_style TEXT,                     -- Caption style served when a request names none; NULL = 'alt'
+    content_type TEXT,                      -- Sniffed MIME type, as stored in R2
+    size INTEGER,                           -- Bytes stored in R2
+    width INTEGER,                          -- Pixel dimensions sniffed from the image header at upload
+    height INTEGER,
+    status TEXT NOT NULL DEFAULT 'pending'  -- Alt-text job state; 'failed' is the dead-letter state
+        CHECK (status IN ('pending', 'processing', 'done', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,    -- Generation attempts by the queue consumer
+    last_error TEXT,                        -- Most recent generation failure, cleared on success
     created_at TEXT DEFAULT(datetime('now')),
     updated_at TEXT
 );
 
 CREATE INDEX IF NOT EXISTS idx_images_created_at ON images (created_at DESC);
 
-CREATE UNIQUE INDEX IF NOT EXISTS idx_images_source_url ON images (source_url);
\ No newline at end of file
+-- Keyset pagination on /audit, within a tenant: each sort pairs with id as the tie-breaker.
+CREATE INDEX IF NOT EXISTS idx_images_tenant_created_id ON images (tenant_id, created_at, id);
+CREATE INDEX IF NOT EXISTS idx_images_tenant_updated_id ON images (tenant_id, COALESCE(updated_at, created_at), id);
+CREATE INDEX IF NOT EXISTS idx_images_tenant_attempts_id ON images (tenant_id, attempts, id);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_images_tenant_source_url ON images (tenant_id, source_url);
+
+-- Every Cache API key written for an image (original, variants, negotiated formats),
+-- so a delete or alt-text edit can purge them all.
+CREATE TABLE IF NOT EXISTS image_cache_keys (
+    image_id TEXT NOT NULL,
+    cache_key TEXT NOT NULL,
+    PRIMARY KEY (image_id, cache_key)
+);
+
+-- Alt-text in languages other than the default (images.alt_text). Machine
+-- translations are made lazily on first request for a language.
+CREATE TABLE IF NOT EXISTS image_alt_texts (
+    image_id TEXT NOT NULL,
+    lang TEXT NOT NULL,                     -- Primary language subtag, e.g. 'fr'
+    text TEXT NOT NULL,
+    source TEXT NOT NULL CHECK (source IN ('human', 'ai')),
+    updated_at TEXT,
+    PRIMARY KEY (image_id, lang)
+);
+
+-- Output of caption styles other than the default 'alt' (which is images.alt_text).
+CREATE TABLE IF NOT EXISTS image_captions (
+    image_id TEXT NOT NULL,
+    style TEXT NOT NULL,
+    text TEXT NOT NULL,
+    model TEXT,                             -- Model that wrote it, for comparing configs
+    updated_at TEXT,
+    PRIMARY KEY (image_id, style)
+);
+
+-- Runtime overrides for caption styles. NULL columns fall back to env.CAPTION_STYLES,
+-- then the built-in defaults; a new name defines a new style.
+CREATE TABLE IF NOT EXISTS caption_styles (
+    name TEXT PRIMARY KEY,
+    model TEXT,
+    system_prompt TEXT,
+    user_prompt TEXT,
+    max_length INTEGER,
+    updated_at TEXT DEFAULT(datetime('now'))
+);
+
+-- Per-person API keys. Only a SHA-256 of the secret half is stored; the key is
+-- shown once, when created. Revoked keys are kept so listings show who held them.
+CREATE TABLE IF NOT EXISTS api_keys (
+    id TEXT PRIMARY KEY,                    -- UUID v4, also the key's public prefix
+    owner TEXT NOT NULL,                    -- Who holds the key, e.g. an email address
+    tenant_id TEXT NOT NULL DEFAULT 'default', -- Images the key can see and upload to
+    scopes TEXT NOT NULL,                   -- Space-separated: upload, read:audit, delete, admin
+    key_hash TEXT NOT NULL,                 -- Hex SHA-256 of the secret
+    expires_at TEXT,                        -- NULL = never
+    last_used_at TEXT,                      -- Updated at most once a minute
+    revoked_at TEXT,
+    created_at TEXT DEFAULT(datetime('now'))
+);
+
+-- Analysis pass run after each AI alt-text pass: keyword tags, dominant colours
+-- and visible (OCR) text, searchable through GET /search.
+CREATE TABLE IF NOT EXISTS image_tags (
+    image_id TEXT NOT NULL,
+    tag TEXT NOT NULL,                      -- Lower-case keyword, e.g. 'logo'
+    PRIMARY KEY (image_id, tag)
+);
+
+CREATE INDEX IF NOT EXISTS idx_image_tags_tag ON image_tags (tag);
+
+CREATE TABLE IF NOT EXISTS image_colours (
+    image_id TEXT NOT NULL,
+    colour TEXT NOT NULL,                   -- One of the basic colour names in the analysis prompt
+    rank INTEGER NOT NULL,                  -- 0 = most dominant
+    PRIMARY KEY (image_id, colour)
+);
+
+CREATE INDEX IF NOT EXISTS idx_image_colours_colour ON image_colours (colour);
+
+-- One row per analysed image; ocr_text is '' when the image shows no text.
+CREATE TABLE IF NOT EXISTS image_analysis (
+    image_id TEXT PRIMARY KEY,
+    ocr_text TEXT NOT NULL,
+    model TEXT,                             -- Model that wrote it
+    updated_at TEXT
+);
+
+-- Full-text index behind GET /search?q=, one row per image. The triggers below
+-- keep it in sync: images writes copy alt_text and source_url, and each analysis
+-- write (the last statement of the analysis batch) refreshes the tags.
+CREATE VIRTUAL TABLE IF NOT EXISTS images_fts USING fts5(
+    image_id UNINDEXED,
+    alt_text,
+    source_url,
+    tags,
+    tokenize = 'unicode61 remove_diacritics 2'  -- No stemming: every query word is a prefix term instead
+);
+
+CREATE TRIGGER IF NOT EXISTS images_fts_insert AFTER INSERT ON images BEGIN
+    INSERT INTO images_fts (image_id, alt_text, source_url, tags) VALUES (new.id, new.alt_text, new.source_url, '');
+END;
+
+CREATE TRIGGER IF NOT EXISTS images_fts_update AFTER UPDATE OF alt_text, source_url ON images BEGIN
+    UPDATE images_fts SET alt_text = new.alt_text, source_url = new.source_url WHERE image_id = new.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS images_fts_delete AFTER DELETE ON images BEGIN
+    DELETE FROM images_fts WHERE image_id = old.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS images_fts_tags_insert AFTER INSERT ON image_analysis BEGIN
+    UPDATE images_fts
+    SET    tags = (SELECT COALESCE(group_concat(tag, ' '), '') FROM image_tags WHERE image_id = new.image_id)
+    WHERE  image_id = new.image_id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS images_fts_tags_update AFTER UPDATE ON image_analysis BEGIN
+    UPDATE images_fts
+    SET    tags = (SELECT COALESCE(group_concat(tag, ' '), '') FROM image_tags WHERE image_id = new.image_id)
+    WHERE  image_id = new.image_id;
+END;
+
+-- Append-only record of every write made through the API. Each tenant's rows
+-- form a hash chain: hash is the SHA-256 of prev_hash and the row's other
+-- fields, so a row edited, removed or reordered in D1 breaks every later link
+-- (GET /activity?verify=true). The triggers refuse UPDATE and DELETE outright.
+CREATE TABLE IF NOT EXISTS activity_log (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,  -- Chain order; never reused
+    tenant_id TEXT NOT NULL,                -- Tenant whose images or keys were changed
+    actor TEXT NOT NULL,                    -- Owner of the key that acted ('admin-token' for ADMIN_TOKEN)
+    key_id TEXT,                            -- API key that acted; NULL for ADMIN_TOKEN
+    ip TEXT,                                -- CF-Connecting-IP of the request
+    action TEXT NOT NULL,                   -- e.g. image.upload, alt_text.edit, api_key.revoke
+    target_id TEXT,                         -- Image or API key acted on; NULL for bulk actions
+    before_value TEXT,                      -- JSON; NULL when nothing existed before
+    after_value TEXT,                       -- JSON; NULL when nothing remains after
+    created_at TEXT NOT NULL,               -- UTC, 'YYYY-MM-DD HH:MM:SS'
+    prev_hash TEXT NOT NULL,                -- Previous row's hash in this tenant; '' for the first
+    hash TEXT NOT NULL                      -- Hex SHA-256 over prev_hash and the fields above
+);
+
+-- One successor per link: a writer that raced on a stale head retries.
+CREATE UNIQUE INDEX IF NOT EXISTS idx_activity_log_chain ON activity_log (tenant_id, prev_hash);
+CREATE INDEX IF NOT EXISTS idx_activity_log_tenant_seq ON activity_log (tenant_id, seq);
+
+CREATE TRIGGER IF NOT EXISTS activity_log_no_update BEFORE UPDATE ON activity_log BEGIN
+    SELECT RAISE(ABORT, 'activity_log is append-only');
+END;
+
+CREATE TRIGGER IF NOT EXISTS activity_log_no_delete BEFORE DELETE ON activity_log BEGIN
+    SELECT RAISE(ABORT, 'activity_log is append-only');
+END;
+
+-- Upgrading an existing database (run once, before re-running this file, whose indexes
+-- need the new columns; SQLite has no ADD COLUMN IF NOT EXISTS):
+--   ALTER TABLE images ADD COLUMN width INTEGER;
+--   ALTER TABLE images ADD COLUMN height INTEGER;
+--   ALTER TABLE images ADD COLUMN alt_text_source TEXT CHECK (alt_text_source IN ('human', 'ai'));
+--   ALTER TABLE images ADD COLUMN status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'done', 'failed'));
+--   ALTER TABLE images ADD COLUMN attempts INTEGER NOT NULL DEFAULT 0;
+--   ALTER TABLE images ADD COLUMN last_error TEXT;
+--   ALTER TABLE images ADD COLUMN caption_style TEXT;
+--   ALTER TABLE images ADD COLUMN content_type TEXT;  -- NULL for images uploaded before it existed
+--   ALTER TABLE images ADD COLUMN size INTEGER;       -- likewise
+--   ALTER TABLE images ADD COLUMN tenant_id TEXT NOT NULL DEFAULT 'default';
+--   ALTER TABLE images ADD COLUMN owner_id TEXT;
+--   ALTER TABLE images ADD COLUMN r2_key TEXT;         -- existing objects keep their bare-id keys
+--   ALTER TABLE images ADD COLUMN visibility TEXT NOT NULL DEFAULT 'public' CHECK (visibility IN ('public', 'private'));
+--   ALTER TABLE api_keys ADD COLUMN tenant_id TEXT NOT NULL DEFAULT 'default';
+--   DROP INDEX IF EXISTS idx_images_created_id;
+--   DROP INDEX IF EXISTS idx_images_updated_id;
+--   DROP INDEX IF EXISTS idx_images_attempts_id;
+--   DROP INDEX IF EXISTS idx_images_source_url;
+--   UPDATE images SET status = 'done' WHERE alt_text IS NOT NULL;
+-- Older tables also declare source_url UNIQUE on the column, which blocks two
+-- tenants importing the same URL (uploads answer 409 until it is gone). SQLite
+-- cannot drop a column constraint, so rebuild the table once, after the steps
+-- above, then re-run this file to recreate the indexes and images_fts triggers
+-- that DROP TABLE removes (images_fts keeps its rows; activity_log is untouched):
+--   CREATE TABLE images_rebuilt (
+--       id TEXT PRIMARY KEY,
+--       tenant_id TEXT NOT NULL DEFAULT 'default',
+--       owner_id TEXT,
+--       r2_key TEXT,
+--       visibility TEXT NOT NULL DEFAULT 'public' CHECK (visibility IN ('public', 'private')),
+--       source_url TEXT,
+--       alt_text TEXT,
+--       alt_text_source TEXT CHECK (alt_text_source IN ('human', 'ai')),
+--       caption_style TEXT,
+--       content_type TEXT,
+--       size INTEGER,
+--       width INTEGER,
+--       height INTEGER,
+--       status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'done', 'failed')),
+--       attempts INTEGER NOT NULL DEFAULT 0,
+--       last_error TEXT,
+--       created_at TEXT DEFAULT(datetime('now')),
+--       updated_at TEXT
+--   );
+--   INSERT INTO images_rebuilt (
+--       id, tenant_id, owner_id, r2_key, visibility, source_url, alt_text, alt_text_source, caption_style,
+--       content_type, size, width, height, status, attempts, last_error, created_at, updated_at
+--   )
+--   SELECT id, tenant_id, owner_id, r2_key, visibility, source_url, alt_text, alt_text_source, caption_style,
+--          content_type, size, width, height, status, attempts, last_error, created_at, updated_at
+--   FROM   images;
+--   DROP TABLE images;
+--   ALTER TABLE images_rebuilt RENAME TO images;
+-- and, after re-running this file to create images_fts and its triggers, index existing images:
+--   INSERT INTO images_fts (image_id, alt_text, source_url, tags)
+--   SELECT id, alt_text, source_url, (SELECT COALESCE(group_concat(tag, ' '), '') FROM image_tags WHERE image_id = images.id)
+--   FROM images;
@@ -1,6 +1,7 @@
-import { env, createExecutionContext, waitOnExecutionContext, SELF } from 'cloudflare:test';
-import { describe, it, expect } from 'vitest';
+import { env, createExecutionContext, waitOnExecutionContext, SELF, fetchMock } from 'cloudflare:test';
+import { describe, it, expect, beforeAll, afterEach } from 'vitest';
 import worker from '../src';
+import schemaSql from '../schema.sql?raw';
 
 describe('Hello World worker', () => {
 	it('responds with Hello World! (unit style)', async () => {
@@ -18,3 +19,2050 @@ describe('Hello World worker', () => {
 		expect(await response.text()).toMatchInlineSnapshot(`"Hello World!"`);
 	});
 });
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+const AUTH = { Authorization: 'Bearer test-token' };
+
+// Smallest valid PNG (1×1 transparent pixel).
+const PNG_1X1 = Uint8Array.from(
+	atob('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg=='),
+	c => c.charCodeAt(0)
+);
+
+// POSTs PNG_1X1 to /upload with `params` as the query string, e.g.
+// { description: 'A pixel', eager: true }. Resolves to { status, headers, body }.
+async function uploadPng(params = {}, headers = AUTH) {
+	const query = new URLSearchParams(params).toString();
+	const res = await SELF.fetch(`http://example.com/upload${query ? `?${query}` : ''}`, {
+		method: 'POST',
+		headers: { ...headers, 'Content-Type': 'image/png' },
+		body: PNG_1X1,
+	});
+	return { status: res.status, headers: res.headers, body: await res.json() };
+}
+
+async function applySchema() {
+	const statements = [];
+	for (const part of schemaSql.replace(/--.*$/gm, '').split(/;\s*$/m).map(s => s.trim()).filter(Boolean)) {
+		// Trigger bodies contain their own statements; rejoin them up to END.
+		const last = statements.at(-1);
+		if (last && /^CREATE TRIGGER/i.test(last) && !/\bEND$/i.test(last)) statements[statements.length - 1] = last + ';\n' + part;
+		else statements.push(part);
+	}
+	await env.DB.batch(statements.map(s => env.DB.prepare(s)));
+}
+
+describe('POST /upload (direct binary upload)', () => {
+	beforeAll(applySchema);
+
+	it('stores a raw image/* body', async () => {
+		const { status, body: { imageId } } = await uploadPng({ description: 'A pixel' });
+		expect(status).toBe(201);
+
+		const obj = await env.IMAGES.head(`default/${imageId}`);
+		expect(obj.httpMetadata.contentType).toBe('image/png');
+		const row = await env.DB.prepare('SELECT source_url, alt_text FROM images WHERE id = ?').bind(imageId).first();
+		expect(row).toEqual({ source_url: null, alt_text: 'A pixel' });
+	});
+
+	it('rejects a raw body with a disallowed type', async () => {
+		const res = await SELF.fetch('http://example.com/upload', {
+			method: 'POST',
+			headers: { ...AUTH, 'Content-Type': 'image/svg+xml' },
+			body: '<svg/>',
+		});
+		expect(res.status).toBe(415);
+	});
+
+	it('stores every file in a multipart body with per-file descriptions', async () => {
+		const form = new FormData();
+		form.append('file', new File([PNG_1X1], 'a.png', { type: 'image/png' }));
+		form.append('description', 'First');
+		form.append('file', new File([PNG_1X1], 'b.png', { type: 'image/png' }));
+		form.append('description', '');
+
+		const res = await SELF.fetch('http://example.com/upload', { method: 'POST', headers: AUTH, body: form });
+		expect(res.status).toBe(201);
+		const { count, results } = await res.json();
+		expect(count).toBe(2);
+
+		const rows = await Promise.all(
+			results.map(r => env.DB.prepare('SELECT alt_text FROM images WHERE id = ?').bind(r.imageId).first())
+		);
+		expect(rows.map(r => r.alt_text)).toEqual(['First', null]);
+	});
+
+	it('reports 207 when only part of a multipart batch is stored', async () => {
+		const form = new FormData();
+		form.append('file', new File([PNG_1X1], 'ok.png', { type: 'image/png' }));
+		form.append('file', new File(['hello'], 'notes.txt', { type: 'text/plain' }));
+
+		const res = await SELF.fetch('http://example.com/upload', { method: 'POST', headers: AUTH, body: form });
+		expect(res.status).toBe(207);
+		const { results } = await res.json();
+		expect(results.map(r => r.status)).toEqual([201, 415]);
+	});
+
+	// A streamed body has no Content-Length to check up front. It is handed to
+	// the worker directly, so cancelling it drops no connection.
+	const postStream = async (contentType, body) => {
+		const ctx = createExecutionContext();
+		const request = new Request('http://example.com/upload', {
+			method: 'POST',
+			headers: { ...AUTH, 'Content-Type': contentType },
+			body,
+		});
+		const res = await worker.fetch(request, env, ctx);
+		await waitOnExecutionContext(ctx);
+		return res;
+	};
+	// `head`, then `megabytes` 1 MB chunks; `sent` counts the chunks read so far.
+	const chunked = (head, megabytes) => {
+		const chunk = new Uint8Array(1024 * 1024);
+		const source = { sent: 0 };
+		source.stream = new ReadableStream({
+			pull(controller) {
+				if (source.sent > megabytes) return controller.close();
+				controller.enqueue(source.sent === 0 ? head : chunk);
+				source.sent++;
+			},
+		});
+		return source;
+	};
+
+	it('cuts off a chunked raw body once it crosses the limit', async () => {
+		const source = chunked(PNG_1X1, 40);
+		const res = await postStream('image/png', source.stream);
+		expect(res.status).toBe(413);
+		expect((await res.json()).error).toMatch(/^Image exceeds 10 MB limit/);
+		expect(source.sent).toBeLessThan(15);
+	});
+
+	it('cuts off a chunked multipart body once it crosses the batch limit', async () => {
+		const head = new TextEncoder().encode('--x\r\nContent-Disposition: form-data; name="file"; filename="a.png"\r\nContent-Type: image/png\r\n\r\n');
+		const source = chunked(head, 130);
+		const res = await postStream('multipart/form-data; boundary=x', source.stream);
+		expect(res.status).toBe(413);
+		expect((await res.json()).error).toBe('Request exceeds 10 × 10 MB limit');
+		expect(source.sent).toBeLessThan(105);
+	});
+});
+
+describe('POST /upload (content sniffing)', () => {
+	beforeAll(applySchema);
+
+	const upload = (body, type) =>
+		SELF.fetch('http://example.com/upload', { method: 'POST', headers: { ...AUTH, 'Content-Type': type }, body });
+
+	it('rejects HTML served as image/png', async () => {
+		const res = await upload('<!DOCTYPE html><html></html>', 'image/png');
+		expect(res.status).toBe(415);
+	});
+
+	it('rejects bytes whose format differs from the declared type', async () => {
+		const res = await upload(PNG_1X1, 'image/jpeg');
+		expect(res.status).toBe(415);
+		expect((await res.json()).error).toContain('image/png');
+	});
+
+	it('records the sniffed dimensions in D1', async () => {
+		// GIF89a header with a 3×2 logical screen.
+		const gif = Uint8Array.of(0x47, 0x49, 0x46, 0x38, 0x39, 0x61, 3, 0, 2, 0, 0, 0, 0);
+		// Baseline JPEG: SOI, APP0 (JFIF), then SOF0 declaring 40×30.
+		const jpeg = Uint8Array.of(
+			0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46, 0, 1, 1, 0, 0, 1, 0, 1, 0, 0,
+			0xff, 0xc0, 0x00, 0x11, 0x08, 0x00, 30, 0x00, 40, 3, 1, 0x22, 0, 2, 0x11, 1, 3, 0x11, 1
+		);
+
+		for (const [bytes, type, width, height] of [[PNG_1X1, 'image/png', 1, 1], [gif, 'image/gif', 3, 2], [jpeg, 'image/jpeg', 40, 30]]) {
+			const res = await upload(bytes, type);
+			expect(res.status).toBe(201);
+			const { imageId } = await res.json();
+			const row = await env.DB.prepare('SELECT width, height FROM images WHERE id = ?').bind(imageId).first();
+			expect(row).toEqual({ width, height });
+		}
+	});
+});
+
+describe('POST /upload (remote fetch size enforcement)', () => {
+	beforeAll(async () => {
+		await applySchema();
+		fetchMock.activate();
+		fetchMock.disableNetConnect();
+	});
+	afterEach(() => fetchMock.assertNoPendingInterceptors());
+
+	const origin = 'https://images.example.org';
+	const ingest = path =>
+		SELF.fetch('http://example.com/upload', {
+			method: 'POST',
+			headers: { ...AUTH, 'Content-Type': 'application/json' },
+			body: JSON.stringify({ url: origin + path }),
+		});
+
+	it('rejects an oversized Content-Length before reading the body', async () => {
+		fetchMock
+			.get(origin)
+			.intercept({ path: '/huge.png' })
+			.reply(200, PNG_1X1, { headers: { 'Content-Type': 'image/png', 'Content-Length': String(11 * 1024 * 1024) } });
+
+		const res = await ingest('/huge.png');
+		expect(res.status).toBe(413);
+	});
+
+	it('aborts a body without Content-Length once it crosses the limit', async () => {
+		const oversized = new Uint8Array(10 * 1024 * 1024 + 1);
+		oversized.set(PNG_1X1);
+		fetchMock
+			.get(origin)
+			.intercept({ path: '/chunked.png' })
+			.reply(200, oversized, { headers: { 'Content-Type': 'image/png' } });
+
+		const res = await ingest('/chunked.png');
+		expect(res.status).toBe(413);
+	});
+
+	it('streams a legal image into R2', async () => {
+		fetchMock
+			.get(origin)
+			.intercept({ path: '/pixel.png' })
+			.reply(200, PNG_1X1, { headers: { 'Content-Type': 'image/png', 'Content-Length': String(PNG_1X1.byteLength) } });
+
+		const res = await ingest('/pixel.png');
+		expect(res.status).toBe(201);
+		const { imageId } = await res.json();
+		const obj = await env.IMAGES.head(`default/${imageId}`);
+		expect(obj.size).toBe(PNG_1X1.byteLength);
+	});
+
+	it('answers 409, not 503, when a pre-tenancy UNIQUE on source_url blocks the insert', async () => {
+		fetchMock
+			.get(origin)
+			.intercept({ path: '/shared.png' })
+			.reply(200, PNG_1X1, { headers: { 'Content-Type': 'image/png', 'Content-Length': String(PNG_1X1.byteLength) } })
+			.times(2);
+		expect((await ingest('/shared.png')).status).toBe(201);
+
+		const other = await (await SELF.fetch('http://example.com/keys', {
+			method: 'POST',
+			headers: { ...AUTH, 'Content-Type': 'application/json' },
+			body: JSON.stringify({ owner: 'legacy@example.com', tenant_id: 'legacy', scopes: ['upload'] }),
+		})).json();
+		// Stands in for the column-level constraint older tables carry; the error is the same.
+		await env.DB.prepare('CREATE UNIQUE INDEX legacy_source_url ON images (source_url)').run();
+		try {
+			const res = await SELF.fetch('http://example.com/upload', {
+				method: 'POST',
+				headers: { Authorization: `Bearer ${other.key}`, 'Content-Type': 'application/json' },
+				body: JSON.stringify({ url: `${origin}/shared.png` }),
+			});
+			expect(res.status).toBe(409);
+			expect((await res.json()).error).toBe('This source URL has already been uploaded');
+		} finally {
+			await env.DB.prepare('DROP INDEX legacy_source_url').run();
+		}
+	});
+});
+
+describe('GET /images/:uuid (transformations)', () => {
+	let imageId;
+
+	beforeAll(async () => {
+		await applySchema();
+		({ imageId } = (await uploadPng({ description: 'A pixel' })).body);
+	});
+
+	it('serves a re-encoded variant with the alt-text header preserved', async () => {
+		const res = await SELF.fetch(`http://example.com/images/${imageId}?w=220&h=220&fit=cover&format=webp&q=75`);
+		expect(res.status).toBe(200);
+		expect(res.headers.get('Content-Type')).toBe('image/webp');
+		expect(res.headers.get('X-Alt-Text')).toBe('A pixel');
+		await res.arrayBuffer();
+	});
+
+	it('caches each variant under its own canonical key', async () => {
+		const res = await SELF.fetch(`http://example.com/images/${imageId}?format=avif&w=64&utm=ignored`);
+		await res.arrayBuffer();
+		await new Promise(r => setTimeout(r, 50)); // cache.put runs in waitUntil
+
+		const variant = await caches.default.match(`http://example.com/images/${imageId}?w=64&format=avif`);
+		expect(variant?.headers.get('Content-Type')).toBe('image/avif');
+		await variant?.arrayBuffer();
+		const original = await caches.default.match(`http://example.com/images/${imageId}`);
+		expect(original).toBeUndefined();
+	});
+
+	it('serves the original uncached when a transform fails', async () => {
+		const url = `http://example.com/images/${imageId}?w=128&format=webp`;
+		const broken = { ...env, IMAGE_TRANSFORMER: 'nope' };
+		const ctx = createExecutionContext();
+		const res = await worker.fetch(new Request(url), broken, ctx);
+		await waitOnExecutionContext(ctx);
+		expect(res.status).toBe(200);
+		expect(res.headers.get('Content-Type')).toBe('image/png');
+		expect(res.headers.get('Cache-Control')).toBe('no-store');
+		expect(res.headers.get('ETag')).toMatch(/\.untransformed"$/);
+		await res.arrayBuffer();
+
+		expect(await caches.default.match(`http://example.com/images/${imageId}?w=128&format=webp`)).toBeUndefined();
+		const keys = await env.DB.prepare('SELECT cache_key FROM image_cache_keys WHERE image_id = ?').bind(imageId).all();
+		expect(keys.results.map(r => r.cache_key)).not.toContain(`http://example.com/images/${imageId}?w=128&format=webp`);
+	});
+
+	it('rejects out-of-range transform params', async () => {
+		for (const query of ['w=0', 'w=100', 'h=99999', 'fit=stretch', 'format=bmp', 'q=80', 'q=101']) {
+			const res = await SELF.fetch(`http://example.com/images/${imageId}?${query}`);
+			expect(res.status, query).toBe(400);
+			await res.arrayBuffer();
+		}
+	});
+});
+
+describe('GET /images/:uuid (Accept negotiation)', () => {
+	let imageId;
+
+	beforeAll(async () => {
+		await applySchema();
+		({ imageId } = (await uploadPng({ description: 'A pixel' })).body);
+	});
+
+	const get = (accept, query = '') =>
+		SELF.fetch(`http://example.com/images/${imageId}${query}`, { headers: accept ? { Accept: accept } : {} });
+
+	it('picks the best format the client lists and varies on Accept', async () => {
+		for (const [accept, type] of [
+			['image/avif,image/webp,image/*,*/*;q=0.8', 'image/avif'],
+			['image/avif;q=0.5,image/webp', 'image/webp'],
+			['image/*,*/*;q=0.8', 'image/png'],
+			[null, 'image/png'],
+		]) {
+			const res = await get(accept);
+			expect(res.headers.get('Content-Type'), accept).toBe(type);
+			expect(res.headers.get('Vary')).toBe('Accept, Accept-Language');
+			await res.arrayBuffer();
+		}
+	});
+
+	it('keeps an explicit ?format= over the Accept header', async () => {
+		const res = await get('image/avif', '?format=webp');
+		expect(res.headers.get('Content-Type')).toBe('image/webp');
+		expect(res.headers.get('Vary')).toBe('Accept-Language');
+		await res.arrayBuffer();
+	});
+});
+
+describe('GET /images/:uuid (conditional requests)', () => {
+	let imageId;
+
+	beforeAll(async () => {
+		await applySchema();
+		({ imageId } = (await uploadPng({ description: 'A pixel' })).body);
+	});
+
+	it('sends validators and answers If-None-Match with 304 from origin and cache', async () => {
+		const first = await SELF.fetch(`http://example.com/images/${imageId}?w=16`);
+		const etag = first.headers.get('ETag');
+		expect(etag).toMatch(/^"[^"]+\.w=16&accept=original"$/);
+		expect(first.headers.get('Last-Modified')).toBeTruthy();
+		await first.arrayBuffer();
+
+		// The second request is served from the Cache API entry written by the first.
+		for (let i = 0; i < 2; i++) {
+			const res = await SELF.fetch(`http://example.com/images/${imageId}?w=16`, { headers: { 'If-None-Match': etag } });
+			expect(res.status).toBe(304);
+			expect(res.headers.get('X-Alt-Text')).toBe('A pixel');
+			expect(await res.text()).toBe('');
+		}
+	});
+
+	it('answers If-Modified-Since with 304 when unchanged', async () => {
+		const res = await SELF.fetch(`http://example.com/images/${imageId}`, {
+			headers: { 'If-Modified-Since': new Date(Date.now() + 60_000).toUTCString() },
+		});
+		expect(res.status).toBe(304);
+	});
+
+	it('ignores If-Modified-Since when If-None-Match does not match', async () => {
+		const res = await SELF.fetch(`http://example.com/images/${imageId}`, {
+			headers: { 'If-None-Match': '"stale"', 'If-Modified-Since': new Date(Date.now() + 60_000).toUTCString() },
+		});
+		expect(res.status).toBe(200);
+		await res.arrayBuffer();
+	});
+
+	it('supports HEAD with headers only', async () => {
+		const res = await SELF.fetch(`http://example.com/images/${imageId}`, { method: 'HEAD' });
+		expect(res.status).toBe(200);
+		expect(res.headers.get('Content-Type')).toBe('image/png');
+		expect(res.headers.get('ETag')).toBeTruthy();
+		expect(await res.text()).toBe('');
+	});
+});
+
+describe('GET /images/:uuid (range requests)', () => {
+	let imageId;
+
+	beforeAll(async () => {
+		await applySchema();
+		({ imageId } = (await uploadPng({ description: 'A pixel' })).body);
+	});
+
+	const get = headers => SELF.fetch(`http://example.com/images/${imageId}`, { headers });
+	const size = PNG_1X1.byteLength;
+
+	it('serves a single range with Content-Range', async () => {
+		const res = await get({ Range: 'bytes=0-7' });
+		expect(res.status).toBe(206);
+		expect(res.headers.get('Content-Range')).toBe(`bytes 0-7/${size}`);
+		expect(res.headers.get('Accept-Ranges')).toBe('bytes');
+		expect(new Uint8Array(await res.arrayBuffer())).toEqual(PNG_1X1.slice(0, 8));
+	});
+
+	it('serves a suffix range', async () => {
+		const res = await get({ Range: 'bytes=-4' });
+		expect(res.status).toBe(206);
+		expect(new Uint8Array(await res.arrayBuffer())).toEqual(PNG_1X1.slice(size - 4));
+	});
+
+	it('serves multiple ranges as multipart/byteranges', async () => {
+		const res = await get({ Range: 'bytes=0-3, 8-11' });
+		expect(res.status).toBe(206);
+		const type = res.headers.get('Content-Type');
+		expect(type).toMatch(/^multipart\/byteranges; boundary=/);
+		const text = await res.text();
+		expect(text).toContain(`Content-Range: bytes 0-3/${size}`);
+		expect(text).toContain(`Content-Range: bytes 8-11/${size}`);
+		expect(text.trimEnd().endsWith(`--${type.split('boundary=')[1]}--`)).toBe(true);
+	});
+
+	it('returns 416 for an unsatisfiable range', async () => {
+		const res = await get({ Range: `bytes=${size}-` });
+		expect(res.status).toBe(416);
+		expect(res.headers.get('Content-Range')).toBe(`bytes */${size}`);
+	});
+
+	it('serves the full image when If-Range no longer matches', async () => {
+		const res = await get({ Range: 'bytes=0-7', 'If-Range': '"stale"' });
+		expect(res.status).toBe(200);
+		expect((await res.arrayBuffer()).byteLength).toBe(size);
+	});
+
+	it('honours If-Range when the ETag matches', async () => {
+		const head = await SELF.fetch(`http://example.com/images/${imageId}`, { method: 'HEAD' });
+		const res = await get({ Range: 'bytes=0-7', 'If-Range': head.headers.get('ETag') });
+		expect(res.status).toBe(206);
+		await res.arrayBuffer();
+	});
+});
+
+describe('DELETE /images/:uuid', () => {
+	beforeAll(applySchema);
+
+	it('requires auth', async () => {
+		const { imageId } = (await uploadPng({ description: 'A pixel' })).body;
+		const res = await SELF.fetch(`http://example.com/images/${imageId}`, { method: 'DELETE' });
+		expect(res.status).toBe(401);
+	});
+
+	it('removes the object, row, every dedupe lock and every cached variant', async () => {
+		const { imageId } = (await uploadPng({ description: 'A pixel' })).body;
+		for (const query of ['', '?w=32&format=webp']) {
+			const res = await SELF.fetch(`http://example.com/images/${imageId}${query}`);
+			await res.arrayBuffer();
+		}
+		const locks = [`ai:${imageId}`, `ai:${imageId}:fr`, `ai:${imageId}:style:long`, `ai:${imageId}:analyse`, `ai:${imageId}:embed`];
+		for (const lock of locks) await env.AI_QUOTA.put(lock, '1');
+		const { results: keys } = await env.DB.prepare('SELECT cache_key FROM image_cache_keys WHERE image_id = ?').bind(imageId).all();
+		expect(keys).toHaveLength(2);
+
+		const res = await SELF.fetch(`http://example.com/images/${imageId}`, { method: 'DELETE', headers: AUTH });
+		expect(res.status).toBe(204);
+
+		expect(await env.IMAGES.head(`default/${imageId}`)).toBeNull();
+		expect(await env.DB.prepare('SELECT id FROM images WHERE id = ?').bind(imageId).first()).toBeNull();
+		for (const lock of locks) expect(await env.AI_QUOTA.get(lock), lock).toBeNull();
+		for (const { cache_key } of keys) expect(await caches.default.match(cache_key)).toBeUndefined();
+
+		const again = await SELF.fetch(`http://example.com/images/${imageId}`, { method: 'DELETE', headers: AUTH });
+		expect(again.status).toBe(404);
+		const gone = await SELF.fetch(`http://example.com/images/${imageId}`);
+		expect(gone.status).toBe(404);
+	});
+});
+
+describe('PATCH /images/:uuid', () => {
+	let imageId;
+
+	beforeAll(async () => {
+		await applySchema();
+		({ imageId } = (await uploadPng({ description: 'A pixel' })).body);
+	});
+
+	const patch = (body, headers = AUTH) =>
+		SELF.fetch(`http://example.com/images/${imageId}`, {
+			method: 'PATCH',
+			headers: { ...headers, 'Content-Type': 'application/json' },
+			body: JSON.stringify(body),
+		});
+
+	it('requires auth', async () => {
+		expect((await patch({ alt_text: 'x' }, {})).status).toBe(401);
+	});
+
+	it('sets human alt-text and purges the cached response', async () => {
+		const warm = await SELF.fetch(`http://example.com/images/${imageId}`);
+		expect(warm.headers.get('X-Alt-Text')).toBe('A pixel');
+		await warm.arrayBuffer();
+
+		const res = await patch({ alt_text: 'A <b>single</b> transparent pixel' });
+		expect(res.status).toBe(200);
+		const row = await res.json();
+		expect(row).toMatchObject({ id: imageId, alt_text: 'A single transparent pixel', alt_text_source: 'human' });
+		expect(row.updated_at).toBeTruthy();
+
+		const fresh = await SELF.fetch(`http://example.com/images/${imageId}`);
+		expect(fresh.headers.get('X-Alt-Text')).toBe('A single transparent pixel');
+		await fresh.arrayBuffer();
+	});
+
+	it('clears alt-text with null', async () => {
+		const res = await patch({ alt_text: null });
+		expect(await res.json()).toMatchObject({ alt_text: null, alt_text_source: null });
+	});
+
+	it('validates the body and the target', async () => {
+		expect((await patch({ alt: 'x' })).status).toBe(400);
+		expect((await patch({ alt_text: 42 })).status).toBe(400);
+		const missing = await SELF.fetch(`http://example.com/images/${crypto.randomUUID()}`, {
+			method: 'PATCH',
+			headers: { ...AUTH, 'Content-Type': 'application/json' },
+			body: JSON.stringify({ alt_text: 'x' }),
+		});
+		expect(missing.status).toBe(404);
+	});
+});
+
+describe('alt-text regeneration', () => {
+	let imageId;
+
+	beforeAll(async () => {
+		await applySchema();
+		({ imageId } = (await uploadPng({ description: 'A pixel' })).body);
+	});
+
+	const regenerate = (path, body, headers = AUTH) =>
+		SELF.fetch(`http://example.com/images/${path}`, {
+			method: 'POST',
+			headers: { ...headers, 'Content-Type': 'application/json' },
+			body: body === undefined ? undefined : JSON.stringify(body),
+		});
+
+	it('requires auth', async () => {
+		expect((await regenerate(`${imageId}/regenerate`, undefined, {})).status).toBe(401);
+		expect((await regenerate('regenerate', { ids: [imageId] }, {})).status).toBe(401);
+	});
+
+	it('returns 409 while the dedupe lock is held and leaves the alt-text alone', async () => {
+		await env.AI_QUOTA.put(`ai:${imageId}`, '1');
+		const res = await regenerate(`${imageId}/regenerate`);
+		expect(res.status).toBe(409);
+		await res.arrayBuffer();
+		const row = await env.DB.prepare('SELECT alt_text FROM images WHERE id = ?').bind(imageId).first();
+		expect(row.alt_text).toBe('A pixel');
+		await env.AI_QUOTA.delete(`ai:${imageId}`);
+	});
+
+	it('returns 404 for an unknown image and releases the lock', async () => {
+		const id = crypto.randomUUID();
+		const res = await regenerate(`${id}/regenerate`);
+		expect(res.status).toBe(404);
+		await res.arrayBuffer();
+		expect(await env.AI_QUOTA.get(`ai:${id}`)).toBeNull();
+	});
+
+	it('replaces the text through a queued job and records who asked', async () => {
+		const res = await regenerate(`${imageId}/regenerate`);
+		expect(res.status).toBe(202);
+		// The in-memory queue runs the job (against the mock provider) inline.
+		expect(await res.json()).toMatchObject({ id: imageId, alt_text_source: 'ai', status: 'done' });
+		const row = await env.DB.prepare('SELECT alt_text, attempts, last_error FROM images WHERE id = ?').bind(imageId).first();
+		expect(row).toMatchObject({ alt_text: expect.stringMatching(/^Mock alt description/), attempts: 1, last_error: null });
+		expect(await env.AI_QUOTA.get(`ai:${imageId}`)).toBeNull();
+
+		const entry = await env.DB
+			.prepare(`SELECT actor, before_value, after_value FROM activity_log WHERE action = 'image.regenerate' AND target_id = ?`)
+			.bind(imageId)
+			.first();
+		expect(entry.actor).toBe('admin-token');
+		expect(JSON.parse(entry.before_value)).toEqual({ alt_text: 'A pixel', alt_text_source: 'human' });
+		expect(JSON.parse(entry.after_value)).toEqual({ alt_text: row.alt_text, alt_text_source: 'ai' });
+	});
+
+	it('records failed runs in D1 and keeps the old text', async () => {
+		const { imageId: id } = (await uploadPng({ description: 'Kept' })).body;
+		const failing = { ...env, AI_PROVIDER: 'workers-ai', AI: { run: async () => { throw new Error('model down'); } } };
+		const ctx = createExecutionContext();
+		const queued = await worker.fetch(new Request(`http://example.com/images/${id}/regenerate`, { method: 'POST', headers: AUTH }), failing, ctx);
+		await waitOnExecutionContext(ctx);
+		expect(queued.status).toBe(202);
+		expect(await queued.json()).toMatchObject({ status: 'failed', alt_text: 'Kept' });
+
+		const row = await env.DB.prepare('SELECT alt_text, alt_text_source, attempts, last_error FROM images WHERE id = ?').bind(id).first();
+		expect(row).toEqual({ alt_text: 'Kept', alt_text_source: 'human', attempts: 5, last_error: 'model down' });
+	});
+
+	it('reports locked images in a bulk request', async () => {
+		await env.AI_QUOTA.put(`ai:${imageId}`, '1');
+		const res = await regenerate('regenerate', { ids: [imageId, imageId] });
+		expect(res.status).toBe(202);
+		expect(await res.json()).toEqual({ matched: 1, accepted: [], locked: [imageId], failed: [] });
+		await env.AI_QUOTA.delete(`ai:${imageId}`);
+	});
+
+	it('selects bulk targets with an audit filter', async () => {
+		const res = await regenerate('regenerate', { filter: { status: 'pending', from: '2000-01-01', to: '2000-01-31' } });
+		expect(res.status).toBe(202);
+		expect(await res.json()).toEqual({ matched: 0, accepted: [], locked: [], failed: [] });
+	});
+
+	it('validates bulk requests', async () => {
+		for (const body of [{}, { ids: [] }, { ids: ['nope'] }, { filter: { status: 'weird' } }, { filter: { from: 'yesterday' } }]) {
+			const res = await regenerate('regenerate', body);
+			expect(res.status).toBe(400);
+			await res.arrayBuffer();
+		}
+		const tooMany = Array.from({ length: 11 }, () => crypto.randomUUID());
+		const res = await regenerate('regenerate', { ids: tooMany });
+		expect(res.status).toBe(400);
+		await res.arrayBuffer();
+	});
+});
+
+describe('alt-text job queue', () => {
+	const message = (imageId) => {
+		const msg = { id: crypto.randomUUID(), body: { imageId }, attempts: 1, acked: false, retried: null };
+		msg.ack = () => { msg.acked = true; };
+		msg.retry = (options) => { msg.retried = options; };
+		return msg;
+	};
+	const withModel = (run) => ({ ...env, AI_PROVIDER: 'workers-ai', AI: { run } });
+	const row = (id) => env.DB.prepare('SELECT * FROM images WHERE id = ?').bind(id).first();
+
+	beforeAll(applySchema);
+
+	it('records uploads without alt-text as pending and manual ones as done', async () => {
+		const { imageId } = (await uploadPng()).body;
+		expect(await row(imageId)).toMatchObject({ status: 'pending', attempts: 0, last_error: null });
+
+		const { body } = await uploadPng({ description: 'A pixel' });
+		expect(await row(body.imageId)).toMatchObject({ status: 'done' });
+	});
+
+	it('writes AI alt-text and acks on success', async () => {
+		const { imageId } = (await uploadPng()).body;
+		const msg = message(imageId);
+		await worker.queue({ messages: [msg] }, withModel(async () => ({ response: 'A tiny pixel' })));
+
+		expect(msg.acked).toBe(true);
+		expect(await row(imageId)).toMatchObject({
+			alt_text: 'A tiny pixel', alt_text_source: 'ai', status: 'done', attempts: 1, last_error: null,
+		});
+		expect(await env.AI_QUOTA.get(`ai:${imageId}`)).toBeNull();
+	});
+
+	it('records the error and retries with backoff', async () => {
+		const { imageId } = (await uploadPng()).body;
+		const msg = message(imageId);
+		await worker.queue({ messages: [msg] }, withModel(async () => { throw new Error('model down'); }));
+
+		expect(msg.acked).toBe(false);
+		expect(msg.retried).toEqual({ delaySeconds: 30 });
+		expect(await row(imageId)).toMatchObject({ status: 'pending', attempts: 1, last_error: 'model down' });
+		expect(await env.AI_QUOTA.get(`ai:${imageId}`)).toBe('1');
+	});
+
+	it('dead-letters after the last attempt and stops GETs from re-queueing', async () => {
+		const { imageId } = (await uploadPng()).body;
+		await env.DB.prepare('UPDATE images SET attempts = 4 WHERE id = ?').bind(imageId).run();
+		const msg = message(imageId);
+		await worker.queue({ messages: [msg] }, withModel(async () => ({ response: '' })));
+
+		expect(msg.acked).toBe(true);
+		expect(await row(imageId)).toMatchObject({
+			status: 'failed', attempts: 5, last_error: 'Vision model returned an empty description',
+		});
+
+		const res = await SELF.fetch(`http://example.com/images/${imageId}`);
+		await res.arrayBuffer();
+		expect(await env.AI_QUOTA.get(`ai:${imageId}`)).toBeNull();
+
+		const audit = await SELF.fetch(`http://example.com/audit?id=${imageId}`, { headers: AUTH });
+		expect((await audit.json()).data[0]).toMatchObject({ status: 'failed', attempts: 5 });
+	});
+
+	it('acks stale jobs without calling the model', async () => {
+		const { imageId } = (await uploadPng()).body;
+		await env.DB.prepare(`UPDATE images SET alt_text = 'Written by hand', status = 'done' WHERE id = ?`).bind(imageId).run();
+		const msg = message(imageId);
+		await worker.queue({ messages: [msg] }, withModel(async () => { throw new Error('should not run'); }));
+
+		expect(msg.acked).toBe(true);
+		expect(await row(imageId)).toMatchObject({ alt_text: 'Written by hand', attempts: 0 });
+	});
+
+	it('drops every kind of job once the image is deleted', async () => {
+		const { imageId } = (await uploadPng()).body;
+		const del = await SELF.fetch(`http://example.com/images/${imageId}`, { method: 'DELETE', headers: AUTH });
+		expect(del.status).toBe(204);
+
+		const msgs = [{}, { lang: 'fr' }, { style: 'long' }, { analyse: true }, { embed: true }].map(job => {
+			const msg = message(imageId);
+			Object.assign(msg.body, job);
+			return msg;
+		});
+		await worker.queue({ messages: msgs }, withModel(async () => { throw new Error('should not run'); }));
+
+		for (const msg of msgs) expect(msg.acked, JSON.stringify(msg.body)).toBe(true);
+		expect(await env.DB.prepare('SELECT 1 FROM image_analysis WHERE image_id = ?').bind(imageId).first()).toBeNull();
+		expect(await env.DB.prepare('SELECT 1 FROM image_captions WHERE image_id = ?').bind(imageId).first()).toBeNull();
+	});
+
+	it('re-arms a failed image when its alt-text is cleared', async () => {
+		const { imageId } = (await uploadPng()).body;
+		await env.DB.prepare(`UPDATE images SET status = 'failed', attempts = 5, last_error = 'x' WHERE id = ?`).bind(imageId).run();
+		const res = await SELF.fetch(`http://example.com/images/${imageId}`, {
+			method: 'PATCH',
+			headers: { ...AUTH, 'Content-Type': 'application/json' },
+			body: JSON.stringify({ alt_text: null }),
+		});
+		expect(await res.json()).toMatchObject({ status: 'pending' });
+		expect(await row(imageId)).toMatchObject({ attempts: 0, last_error: null });
+	});
+});
+
+describe('eager alt-text generation', () => {
+	const row = (id) => env.DB.prepare('SELECT status, attempts FROM images WHERE id = ?').bind(id).first();
+
+	beforeAll(applySchema);
+
+	it('generates the alt-text before responding, so no GET sees it pending', async () => {
+		const { status, body: { imageId, message } } = await uploadPng({ eager: true });
+		expect(status).toBe(201);
+		expect(message).toMatch(/generated/);
+		expect(await row(imageId)).toEqual({ status: 'done', attempts: 1 });
+
+		const res = await SELF.fetch(`http://example.com/images/${imageId}`);
+		expect(res.headers.get('X-Alt-Text')).toMatch(/^Mock alt description/);
+		expect(res.headers.get('Cache-Control')).toBe('public, max-age=3600');
+		await res.arrayBuffer();
+	});
+
+	it('hands a failed first attempt to the queue with backoff', async () => {
+		const sent = [];
+		const failing = {
+			...env,
+			AI_PROVIDER: 'workers-ai', AI: { run: async () => { throw new Error('model down'); } },
+			JOB_QUEUE: 'cloudflare', ALT_TEXT_QUEUE: { send: async (job, options) => { sent.push({ job, options }); } },
+		};
+		const ctx = createExecutionContext();
+		const res = await worker.fetch(new Request('http://example.com/upload?eager=true', {
+			method: 'POST',
+			headers: { ...AUTH, 'Content-Type': 'image/png' },
+			body: PNG_1X1,
+		}), failing, ctx);
+		await waitOnExecutionContext(ctx);
+		const { imageId, message } = await res.json();
+
+		expect(message).toMatch(/retry queued/);
+		expect(await row(imageId)).toEqual({ status: 'pending', attempts: 1 });
+		expect(sent).toEqual([{ job: { imageId }, options: { delaySeconds: 30 } }]);
+		expect(await env.AI_QUOTA.get(`ai:${imageId}`)).toBe('1');
+	});
+
+	it('stays lazy by default and when a description is given', async () => {
+		const { body: lazy } = await uploadPng();
+		const { body: described } = await uploadPng({ eager: true, description: 'A pixel' });
+		expect(lazy.message).toMatch(/first access/);
+		expect(await row(lazy.imageId)).toEqual({ status: 'pending', attempts: 0 });
+		expect(await row(described.imageId)).toEqual({ status: 'done', attempts: 0 });
+	});
+
+	it('rejects an invalid flag', async () => {
+		expect((await uploadPng({ eager: 'soon' })).status).toBe(400);
+	});
+});
+
+describe('multilingual alt-text', () => {
+	let imageId;
+
+	beforeAll(async () => {
+		await applySchema();
+		({ imageId } = (await uploadPng({ description: 'A pixel' })).body);
+
+		const fr = await SELF.fetch(`http://example.com/images/${imageId}`, {
+			method: 'PATCH',
+			headers: { ...AUTH, 'Content-Type': 'application/json' },
+			body: JSON.stringify({ lang: 'fr', alt_text: 'Un pixel' }),
+		});
+		expect(await fr.json()).toMatchObject({ id: imageId, lang: 'fr', alt_text: 'Un pixel', alt_text_source: 'human' });
+	});
+
+	const get = (query = '', headers = {}) => SELF.fetch(`http://example.com/images/${imageId}${query}`, { headers });
+
+	it('negotiates Accept-Language by primary subtag and q value', async () => {
+		for (const [acceptLanguage, text, lang] of [
+			['fr-CA,fr;q=0.9,en;q=0.8', 'Un pixel', 'fr'],
+			['en;q=0.9,fr;q=0.5', 'A pixel', 'en'],
+			['ko', 'A pixel', 'en'],
+		]) {
+			const res = await get('', { 'Accept-Language': acceptLanguage });
+			expect(res.headers.get('X-Alt-Text'), acceptLanguage).toBe(text);
+			expect(res.headers.get('Content-Language')).toBe(lang);
+			expect(res.headers.get('Vary')).toBe('Accept, Accept-Language');
+			await res.arrayBuffer();
+		}
+	});
+
+	it('lets ?lang= override the header and rejects unsupported languages', async () => {
+		const res = await get('?lang=fr', { 'Accept-Language': 'en' });
+		expect(res.headers.get('X-Alt-Text')).toBe('Un pixel');
+		expect(res.headers.get('Vary')).toBe('Accept');
+		await res.arrayBuffer();
+
+		const bad = await get('?lang=xx');
+		expect(bad.status).toBe(400);
+		await bad.arrayBuffer();
+	});
+
+	it('serves the default language briefly while a translation is missing', async () => {
+		const res = await get('?lang=de');
+		expect(res.headers.get('X-Alt-Text')).toBe('A pixel');
+		expect(res.headers.get('Content-Language')).toBe('en');
+		expect(res.headers.get('Cache-Control')).toMatch(/max-age=60/);
+		await res.arrayBuffer();
+	});
+
+	it('stores machine translations from the queue and drops them when the text changes', async () => {
+		const msg = { id: 'm1', body: { imageId, lang: 'de' }, attempts: 1, ack() { this.acked = true; }, retry() {} };
+		const run = async (model, input) => {
+			expect(input).toMatchObject({ text: 'A pixel', source_lang: 'en', target_lang: 'de' });
+			return { translated_text: 'Ein Pixel' };
+		};
+		await worker.queue({ messages: [msg] }, { ...env, AI_PROVIDER: 'workers-ai', AI: { run } });
+		expect(msg.acked).toBe(true);
+
+		const res = await get('?lang=de');
+		expect(res.headers.get('X-Alt-Text')).toBe('Ein Pixel');
+		expect(res.headers.get('Content-Language')).toBe('de');
+		await res.arrayBuffer();
+
+		const audit = await (await SELF.fetch(`http://example.com/audit?id=${imageId}`, { headers: AUTH })).json();
+		expect(audit.data[0].translations).toEqual({
+			de: { alt_text: 'Ein Pixel', alt_text_source: 'ai' },
+			fr: { alt_text: 'Un pixel', alt_text_source: 'human' },
+		});
+
+		const patch = await SELF.fetch(`http://example.com/images/${imageId}`, {
+			method: 'PATCH',
+			headers: { ...AUTH, 'Content-Type': 'application/json' },
+			body: JSON.stringify({ alt_text: 'A single pixel' }),
+		});
+		await patch.arrayBuffer();
+		const { results } = await env.DB.prepare('SELECT lang FROM image_alt_texts WHERE image_id = ?').bind(imageId).all();
+		expect(results.map((r) => r.lang)).toEqual(['fr']);
+	});
+});
+
+describe('caption styles', () => {
+	let imageId;
+
+	beforeAll(async () => {
+		await applySchema();
+		({ imageId } = (await uploadPng({ description: 'A pixel' })).body);
+	});
+
+	const get = (query) => SELF.fetch(`http://example.com/images/${imageId}${query}`);
+	const message = (body) => ({ id: crypto.randomUUID(), body, attempts: 1, ack() { this.acked = true; }, retry() {} });
+
+	it('serves a pending caption until the style job has run, then its output', async () => {
+		const res = await get('?style=long');
+		expect(res.headers.get('X-Caption-Style')).toBe('long');
+		expect(res.headers.get('X-Alt-Text')).toMatch(/^Pending/);
+		await res.arrayBuffer();
+
+		// The GET queued the job; the in-memory queue runs it against the mock provider.
+		const caption = () => env.DB.prepare(`SELECT text FROM image_captions WHERE image_id = ? AND style = 'long'`).bind(imageId).first();
+		for (let i = 0; i < 100 && !(await caption()); i++) {
+			await new Promise((resolve) => setTimeout(resolve, 20));
+		}
+		const generated = await get('?style=long');
+		await generated.arrayBuffer();
+		expect(generated.headers.get('X-Alt-Text')).toMatch(/^Mock long description/);
+
+		const calls = [];
+		const run = async (model, input) => {
+			calls.push({ model, system: input.messages[0].content, prompt: input.messages[1].content });
+			return { response: 'A single transparent pixel on an empty canvas.' };
+		};
+		const msg = message({ imageId, style: 'long' });
+		await worker.queue({ messages: [msg] }, { ...env, AI_PROVIDER: 'workers-ai', AI: { run } });
+		expect(msg.acked).toBe(true);
+		expect(calls[0].prompt).toMatch(/detailed paragraph/);
+
+		const ready = await get('?style=long');
+		await ready.arrayBuffer();
+		expect(ready.headers.get('X-Alt-Text')).toBe('A single transparent pixel on an empty canvas.');
+
+		// The default style is untouched.
+		const alt = await get('');
+		expect(alt.headers.get('X-Alt-Text')).toBe('A pixel');
+		expect(alt.headers.get('X-Caption-Style')).toBe('alt');
+		await alt.arrayBuffer();
+	});
+
+	it('layers env and D1 config over the built-in styles', async () => {
+		await env.DB.prepare(`INSERT INTO caption_styles (name, model, user_prompt) VALUES ('tweet', '@cf/test/model', 'Caption this for a tweet.')`).run();
+		await env.DB.prepare(`INSERT INTO caption_styles (name, user_prompt) VALUES ('seo', 'Write a short title.')`).run();
+		const calls = [];
+		const run = async (model, input) => {
+			calls.push({ model, system: input.messages[0].content, prompt: input.messages[1].content });
+			return { response: 'ok' };
+		};
+		const styledEnv = {
+			...env,
+			AI_PROVIDER: 'workers-ai', AI: { run },
+			CAPTION_STYLES: JSON.stringify({ tweet: { system: 'You write tweets.' } }),
+		};
+
+		await worker.queue({ messages: [message({ imageId, style: 'tweet' }), message({ imageId, style: 'seo' })] }, styledEnv);
+		expect(calls).toEqual([
+			{ model: '@cf/test/model', system: 'You write tweets.', prompt: 'Caption this for a tweet.' },
+			{ model: '@cf/meta/llama-3.2-11b-vision-instruct', system: 'You are an SEO editor.', prompt: 'Write a short title.' },
+		]);
+
+		const audit = await (await SELF.fetch(`http://example.com/audit?id=${imageId}`, { headers: AUTH })).json();
+		expect(audit.data[0].captions).toEqual({
+			seo: { text: 'ok', model: '@cf/meta/llama-3.2-11b-vision-instruct' },
+			tweet: { text: 'ok', model: '@cf/test/model' },
+		});
+	});
+
+	it('rejects unknown styles on the serve and upload paths', async () => {
+		const res = await get('?style=haiku');
+		expect(res.status).toBe(400);
+		await res.arrayBuffer();
+
+		expect((await uploadPng({ style: 'haiku' })).status).toBe(400);
+	});
+
+	it('uses the upload style when a request names none', async () => {
+		const { imageId: productId } = (await uploadPng({ style: 'product', description: 'A pixel' })).body;
+
+		const res = await SELF.fetch(`http://example.com/images/${productId}`);
+		expect(res.headers.get('X-Caption-Style')).toBe('product');
+		await res.arrayBuffer();
+
+		const alt = await SELF.fetch(`http://example.com/images/${productId}?style=alt`);
+		expect(alt.headers.get('X-Alt-Text')).toBe('A pixel');
+		await alt.arrayBuffer();
+	});
+});
+
+describe('AI providers', () => {
+	const message = (body) => ({ id: crypto.randomUUID(), body, attempts: 1, ack() { this.acked = true; }, retry() {} });
+	const row = (id) => env.DB.prepare('SELECT alt_text, status, last_error FROM images WHERE id = ?').bind(id).first();
+
+	beforeAll(applySchema);
+
+	it('describes images deterministically with the mock provider', async () => {
+		const first = (await uploadPng()).body.imageId;
+		const second = (await uploadPng()).body.imageId;
+		await worker.queue({ messages: [message({ imageId: first }), message({ imageId: second })] }, env);
+
+		const a = await row(first);
+		const b = await row(second);
+		expect(a.status).toBe('done');
+		expect(a.alt_text).toMatch(/^Mock alt description of a \d+-byte image \([0-9a-f]{8}\)$/);
+		expect(b.alt_text).toBe(a.alt_text);
+	});
+
+	it('falls back to the second model when the first fails or returns nothing', async () => {
+		const { imageId } = (await uploadPng()).body;
+		const calls = [];
+		const run = async (model) => {
+			calls.push(model);
+			if (model === '@cf/test/broken') throw new Error('model down');
+			return { response: model === '@cf/test/empty' ? '  ' : 'From the fallback' };
+		};
+		// A queue that drops sends keeps the follow-up analysis pass out of `calls`.
+		const fallbackEnv = {
+			...env,
+			AI_PROVIDER: 'workers-ai', AI: { run }, FALLBACK_VISION_MODEL: '@cf/test/fallback',
+			JOB_QUEUE: 'cloudflare', ALT_TEXT_QUEUE: { send: async () => {} },
+		};
+
+		await worker.queue({ messages: [message({ imageId })] }, { ...fallbackEnv, VISION_MODEL: '@cf/test/broken' });
+		expect(calls).toEqual(['@cf/test/broken', '@cf/test/fallback']);
+		expect(await row(imageId)).toMatchObject({ alt_text: 'From the fallback', status: 'done' });
+
+		calls.length = 0;
+		const msg = message({ imageId, style: 'seo' });
+		await worker.queue({ messages: [msg] }, { ...fallbackEnv, VISION_MODEL: '@cf/test/empty' });
+		expect(calls).toEqual(['@cf/test/empty', '@cf/test/fallback']);
+		const caption = await env.DB.prepare('SELECT text, model FROM image_captions WHERE image_id = ?').bind(imageId).first();
+		expect(caption).toEqual({ text: 'From the fallback', model: '@cf/test/fallback' });
+	});
+
+	it('records an error when every model fails', async () => {
+		const { imageId } = (await uploadPng()).body;
+		const run = async () => { throw new Error('model down'); };
+		const msg = message({ imageId });
+		await worker.queue({ messages: [msg] }, { ...env, AI_PROVIDER: 'workers-ai', AI: { run }, FALLBACK_VISION_MODEL: '@cf/test/fallback' });
+
+		expect(await row(imageId)).toMatchObject({ alt_text: null, status: 'pending', last_error: 'model down' });
+	});
+
+	it('records an unknown provider as a job error', async () => {
+		const { imageId } = (await uploadPng()).body;
+		await worker.queue({ messages: [message({ imageId })] }, { ...env, AI_PROVIDER: 'nope' });
+		expect(await row(imageId)).toMatchObject({ status: 'pending', last_error: 'Unknown AI_PROVIDER: nope' });
+	});
+});
+
+describe('image analysis and search', () => {
+	const message = (body) => ({ id: crypto.randomUUID(), body, attempts: 1, ack() { this.acked = true; }, retry(options) { this.retried = options; } });
+	const audit = async (id) => (await (await SELF.fetch(`http://example.com/audit?id=${id}`, { headers: AUTH })).json()).data[0];
+	const search = (query) => SELF.fetch(`http://example.com/search${query}`, { headers: AUTH });
+
+	async function analyse(imageId, reply) {
+		const msg = message({ imageId, analyse: true });
+		await worker.queue({ messages: [msg] }, { ...env, AI_PROVIDER: 'workers-ai', AI: { run: async () => ({ response: reply }) } });
+		return msg;
+	}
+
+	// A first view queues its analysis in waitUntil; poll until it has landed.
+	async function analysed(imageId) {
+		let row;
+		for (let i = 0; i < 100; i++) {
+			row = await audit(imageId);
+			if (row.ocr_text !== null) break;
+			await new Promise((resolve) => setTimeout(resolve, 20));
+		}
+		return row;
+	}
+	const mockTags = ['mock', expect.stringMatching(/^[0-9a-f]{8}$/)].sort();
+
+	beforeAll(applySchema);
+
+	it('runs the analysis pass after AI alt-text and exposes it on audit rows', async () => {
+		const { imageId } = (await uploadPng()).body;
+		expect(await audit(imageId)).toMatchObject({ tags: [], colours: [], ocr_text: null });
+
+		await worker.queue({ messages: [message({ imageId })] }, env);
+		const row = await audit(imageId);
+		expect(row.alt_text).toMatch(/^Mock alt/);
+		expect(row.tags).toEqual(mockTags);
+		expect(row.colours).toEqual(['grey']);
+		expect(row.ocr_text).toBe('');
+	});
+
+	it('analyses an image with hand-written alt-text on its first view', async () => {
+		const { imageId } = (await uploadPng({ description: 'Written by hand' })).body;
+		expect(await audit(imageId)).toMatchObject({ tags: [], ocr_text: null });
+
+		const res = await SELF.fetch(`http://example.com/images/${imageId}`);
+		await res.arrayBuffer();
+		expect(await analysed(imageId)).toMatchObject({ alt_text: 'Written by hand', tags: mockTags, ocr_text: '' });
+	});
+
+	it('backfills unanalysed images without touching their alt-text', async () => {
+		const { imageId } = (await uploadPng({ description: 'Kept as written' })).body;
+
+		const backfill = (body, headers = AUTH) => SELF.fetch('http://example.com/images/analyse', {
+			method: 'POST',
+			headers: { ...headers, 'Content-Type': 'application/json' },
+			body: JSON.stringify(body),
+		});
+		const res = await backfill({ filter: { source: 'human' } });
+		expect(res.status).toBe(202);
+		expect(await res.json()).toEqual({ matched: 1, accepted: [imageId], locked: [], failed: [] });
+		expect(await audit(imageId)).toMatchObject({
+			alt_text: 'Kept as written', alt_text_source: 'human', tags: mockTags, ocr_text: '',
+		});
+
+		// Analysed images no longer match the filter; ids re-run regardless.
+		expect(await (await backfill({ filter: { source: 'human' } })).json()).toMatchObject({ matched: 0, accepted: [] });
+		expect(await (await backfill({ ids: [imageId] })).json()).toMatchObject({ matched: 1, accepted: [imageId] });
+
+		const anon = await backfill({ ids: [imageId] }, {});
+		expect(anon.status).toBe(401);
+		await anon.arrayBuffer();
+		const bad = await backfill({ ids: ['nope'] });
+		expect(bad.status).toBe(400);
+		await bad.arrayBuffer();
+	});
+
+	it('normalises the model reply', async () => {
+		const { imageId } = (await uploadPng()).body;
+		const msg = await analyse(imageId, 'Sure! {"tags": ["Logo", "logo", "Red  Car"], "colors": ["Red", "gray", "teal"], "text": "SALE <b>50%</b>"}');
+		expect(msg.acked).toBe(true);
+		expect(await audit(imageId)).toMatchObject({ tags: ['logo', 'red car'], colours: ['red', 'grey'], ocr_text: 'SALE 50%' });
+	});
+
+	it('retries when the reply holds no JSON', async () => {
+		const { imageId } = (await uploadPng()).body;
+		const msg = await analyse(imageId, 'I cannot help with that.');
+		expect(msg.retried).toEqual({ delaySeconds: 30 });
+		expect(await audit(imageId)).toMatchObject({ tags: [], ocr_text: null });
+	});
+
+	it('finds images by tag, colour and visible text', async () => {
+		const redLogo = (await uploadPng()).body.imageId;
+		const blueLogo = (await uploadPng()).body.imageId;
+		await analyse(redLogo, '{"tags": ["logo"], "colours": ["red", "white"], "text": "Summer 100% sale"}');
+		await analyse(blueLogo, '{"tags": ["logo", "car"], "colours": ["blue"], "text": ""}');
+
+		const ids = async (query) => {
+			const res = await search(query);
+			expect(res.status).toBe(200);
+			return (await res.json()).data.map((r) => r.id).sort();
+		};
+		expect(await ids('?tag=logo')).toEqual([redLogo, blueLogo].sort());
+		expect(await ids('?tag=logo&colour=red')).toEqual([redLogo]);
+		expect(await ids('?tag=Logo&tag=car')).toEqual([blueLogo]);
+		expect(await ids('?colour=gray')).toEqual([]);
+		expect(await ids('?text=100%25')).toEqual([redLogo]);
+		expect(await ids('?text=10_')).toEqual([]);
+		expect(await ids('?tag=logo&limit=0')).toEqual([redLogo, blueLogo].sort());
+		expect(await ids('?tag=logo&limit=-1')).toHaveLength(1);
+	});
+
+	it('ranks full-text matches over alt-text and tags with highlighted snippets', async () => {
+		const car = (await uploadPng({ description: 'A red sports car parked outside a garage' })).body.imageId;
+		const bike = (await uploadPng({ description: 'A blue bicycle leaning on a car park fence' })).body.imageId;
+		await analyse(bike, '{"tags": ["logo"], "colours": ["blue"], "text": ""}');
+
+		const results = async (query) => {
+			const res = await search(query);
+			expect(res.status).toBe(200);
+			return (await res.json()).data;
+		};
+
+		const cars = await results('?q=car');
+		expect(cars.map((r) => r.id).sort()).toEqual([car, bike].sort());
+		expect(cars.find((r) => r.id === car).snippet).toContain('<mark>car</mark>');
+
+		expect((await results('?q=bicy')).map((r) => r.id)).toEqual([bike]);
+		expect((await results('?q=logo')).map((r) => r.id)).toEqual([bike]);
+		expect((await results('?q=car&colour=red')).map((r) => r.id)).toEqual([]);
+		expect((await results('?q=car&colour=blue')).map((r) => r.id)).toEqual([bike]);
+		expect(await results('?q=car%20OR%20%22')).toHaveLength(0);
+
+		// Edits and deletes keep the index in sync.
+		const patch = await SELF.fetch(`http://example.com/images/${car}`, {
+			method: 'PATCH',
+			headers: { ...AUTH, 'Content-Type': 'application/json' },
+			body: JSON.stringify({ alt_text: 'A red sports coupe' }),
+		});
+		await patch.arrayBuffer();
+		expect((await results('?q=coupe')).map((r) => r.id)).toEqual([car]);
+		expect((await results('?q=garage'))).toEqual([]);
+
+		const del = await SELF.fetch(`http://example.com/images/${bike}`, { method: 'DELETE', headers: AUTH });
+		await del.arrayBuffer();
+		expect(await results('?q=bicycle')).toEqual([]);
+	});
+
+	it('validates the query and requires auth', async () => {
+		for (const query of ['', '?q=%20%22', '?colour=teal', '?tag=a&tag=b&tag=c&tag=d&tag=e&tag=f']) {
+			const res = await search(query);
+			expect(res.status).toBe(400);
+			await res.arrayBuffer();
+		}
+		const anon = await SELF.fetch('http://example.com/search?tag=logo');
+		expect(anon.status).toBe(401);
+		await anon.arrayBuffer();
+	});
+
+	it('is rate-limited like the other API paths', async () => {
+		const ip = '198.51.100.23';
+		const minute = Math.floor(Date.now() / 60_000);
+		for (const win of [minute, minute + 1]) await env.RATE_LIMIT.put(`rl:${ip}:${win}`, '100');
+
+		const res = await SELF.fetch('http://example.com/search?semantic=red%20car', { headers: { ...AUTH, 'CF-Connecting-IP': ip } });
+		expect(res.status).toBe(429);
+		await res.arrayBuffer();
+	});
+});
+
+describe('similar images and semantic search', () => {
+	// Uploads queue their embedding in waitUntil; poll until it has landed.
+	async function similar(imageId, query = '') {
+		let body;
+		for (let i = 0; i < 100; i++) {
+			const res = await SELF.fetch(`http://example.com/images/${imageId}/similar${query}`, { headers: AUTH });
+			expect(res.status).toBe(200);
+			body = await res.json();
+			if (!body.pending) break;
+			await new Promise((resolve) => setTimeout(resolve, 20));
+		}
+		return body;
+	}
+
+	beforeAll(applySchema);
+
+	it('ranks images by alt-text similarity and leaves the image itself out', async () => {
+		const track = (await uploadPng({ description: 'A red sports car on a race track' })).body.imageId;
+		const garage = (await uploadPng({ description: 'A red sports car in a garage' })).body.imageId;
+		const salad = (await uploadPng({ description: 'A bowl of fresh green salad' })).body.imageId;
+		await similar(garage);
+		await similar(salad);
+
+		const { data, pending } = await similar(track);
+		expect(pending).toBe(false);
+		const ids = data.map((r) => r.id);
+		expect(ids).not.toContain(track);
+		expect(ids[0]).toBe(garage);
+		expect(data.find((r) => r.id === salad)?.score ?? 0).toBeLessThan(data[0].score);
+		expect(data[0]).toMatchObject({ alt_text: 'A red sports car in a garage', tags: [] });
+
+		expect((await similar(track, '?limit=1')).data).toHaveLength(1);
+	});
+
+	it('answers natural-language queries with ?semantic=', async () => {
+		const salad = (await uploadPng({ description: 'A bowl of fresh green salad with tomatoes' })).body.imageId;
+		await uploadPng({ description: 'A red sports car on a race track' });
+		await similar(salad);
+
+		const res = await SELF.fetch('http://example.com/search?semantic=green%20salad%20bowl&limit=5', { headers: AUTH });
+		expect(res.status).toBe(200);
+		const { data } = await res.json();
+		expect(data[0].id).toBe(salad);
+		expect(data[0].score).toBeGreaterThan(0.5);
+
+		const both = await SELF.fetch('http://example.com/search?semantic=salad&q=salad', { headers: AUTH });
+		expect(both.status).toBe(400);
+		await both.arrayBuffer();
+	});
+
+	it('re-indexes on edit and forgets deleted or cleared images', async () => {
+		const bike = (await uploadPng({ description: 'A blue bicycle against a wall' })).body.imageId;
+		const other = (await uploadPng({ description: 'A blue bicycle in a park' })).body.imageId;
+		await similar(other);
+		expect((await similar(bike)).data.map((r) => r.id)).toContain(other);
+
+		const patch = await SELF.fetch(`http://example.com/images/${bike}`, {
+			method: 'PATCH',
+			headers: { ...AUTH, 'Content-Type': 'application/json' },
+			body: JSON.stringify({ alt_text: null }),
+		});
+		await patch.arrayBuffer();
+		const cleared = await SELF.fetch(`http://example.com/images/${bike}/similar`, { headers: AUTH });
+		expect(await cleared.json()).toEqual({ count: 0, pending: true, data: [] });
+
+		const del = await SELF.fetch(`http://example.com/images/${other}`, { method: 'DELETE', headers: AUTH });
+		await del.arrayBuffer();
+		const missing = await SELF.fetch(`http://example.com/images/${other}/similar`, { headers: AUTH });
+		expect(missing.status).toBe(404);
+		await missing.arrayBuffer();
+	});
+
+	it('requires auth', async () => {
+		const res = await SELF.fetch(`http://example.com/images/${crypto.randomUUID()}/similar`);
+		expect(res.status).toBe(401);
+		await res.arrayBuffer();
+	});
+});
+
+describe('GET /audit (filters, sorting and cursors)', () => {
+	const list = async (query) => {
+		const res = await SELF.fetch(`http://example.com/audit?${query}`, { headers: AUTH });
+		return { status: res.status, body: await res.json() };
+	};
+
+	// Five rows a day apart, alternating hosts and types; attempts rise with age.
+	async function seed() {
+		const ids = [];
+		for (let i = 0; i < 5; i++) {
+			const id = crypto.randomUUID();
+			ids.push(id);
+			await env.DB.prepare(`
+				INSERT INTO images (id, source_url, content_type, status, attempts, created_at)
+				VALUES (?, ?, ?, ?, ?, ?)
+			`).bind(
+				id,
+				i % 2 ? `https://cdn.example.org/${i}.png` : `http://photos.example.com/${i}.jpg`,
+				i % 2 ? 'image/png' : 'image/jpeg',
+				i < 2 ? 'done' : 'pending',
+				5 - i,
+				`2026-01-0${i + 1} 12:00:00`,
+			).run();
+		}
+		return ids;
+	}
+
+	beforeAll(applySchema);
+
+	it('records the sniffed content type and size on upload', async () => {
+		const { imageId } = (await uploadPng({ description: 'Pixel' })).body;
+		const { body } = await list(`id=${imageId}`);
+		expect(body.data[0]).toMatchObject({ content_type: 'image/png', size: PNG_1X1.byteLength });
+	});
+
+	it('filters by status, host, type and date with a per-filter total', async () => {
+		const ids = await seed();
+
+		let { body } = await list('status=pending');
+		expect(body.total).toBe(3);
+		expect(body.data.map(r => r.id)).toEqual([ids[4], ids[3], ids[2]]);
+
+		({ body } = await list('source_host=CDN.example.org'));
+		expect(body.total).toBe(2);
+		expect(body.data.map(r => r.id)).toEqual([ids[3], ids[1]]);
+
+		({ body } = await list('content_type=image/jpeg&from=2026-01-02&to=2026-01-04'));
+		expect(body.total).toBe(1);
+		expect(body.data[0].id).toBe(ids[2]);
+
+		// A host is matched whole, not as a prefix of a longer one.
+		({ body } = await list('source_host=cdn.example'));
+		expect(body.total).toBe(0);
+	});
+
+	it('walks every page by cursor in the requested order', async () => {
+		const ids = await seed();
+
+		const seen = [];
+		let cursor = '';
+		for (let i = 0; i < 5; i++) {
+			const { status, body } = await list(`sort=attempts&order=asc&limit=2${cursor}`);
+			expect(status).toBe(200);
+			expect(body.total).toBe(5);
+			seen.push(...body.data.map(r => r.id));
+			expect(body.data.every(r => !('sort_key' in r))).toBe(true);
+			if (!body.next_cursor) break;
+			expect(body.page).toBe(cursor ? null : 1);
+			cursor = `&cursor=${body.next_cursor}`;
+		}
+		expect(seen).toEqual([...ids].reverse());
+	});
+
+	it('clamps limit to 1–100 and defaults junk to 50', async () => {
+		await seed();
+		for (const [query, expected] of [['limit=0', 50], ['limit=NaN', 50], ['limit=-3', 1], ['limit=500', 100], ['limit=2', 2]]) {
+			const { status, body } = await list(query);
+			expect(status, query).toBe(200);
+			expect(body.data, query).toHaveLength(Math.min(expected, body.total));
+		}
+	});
+
+	it('rejects unknown filters, sorts and cursors', async () => {
+		for (const query of [
+			'status=lost', 'content_type=image/svg+xml', 'source_host=a/b', 'from=yesterday',
+			'sort=alt_text', 'order=sideways', 'cursor=not-a-cursor',
+		]) {
+			const { status, body } = await list(query);
+			expect(status, query).toBe(400);
+			expect(body.error).toBeTruthy();
+		}
+
+		// A cursor is bound to the sort and order that produced it.
+		await seed();
+		const { body } = await list('limit=1');
+		const { status } = await list(`limit=1&order=asc&cursor=${body.next_cursor}`);
+		expect(status).toBe(400);
+	});
+});
+
+describe('GET /audit/export', () => {
+	const exportAudit = (query) => SELF.fetch(`http://example.com/audit/export?${query}`, { headers: AUTH });
+
+	beforeAll(applySchema);
+
+	it('streams every matching row as CSV, quoting and defusing values', async () => {
+		const insert = env.DB.prepare(`
+			INSERT INTO images (id, source_url, alt_text, status, size, content_type, created_at)
+			VALUES (?, ?, ?, ?, ?, ?, datetime('now'))
+		`);
+		// More rows than one export batch, so the stream has to page.
+		const ids = Array.from({ length: 620 }, () => crypto.randomUUID());
+		await env.DB.batch(ids.map((id, i) => insert.bind(
+			id, `https://example.com/${i}.png`, i === 0 ? 'Says "hi", twice\nthen =SUM(A1)' : `Image ${i}`,
+			i % 2 ? 'pending' : 'done', 68, 'image/png',
+		)));
+		await env.DB.prepare("UPDATE images SET alt_text = '=HYPERLINK(\"x\")' WHERE id = ?").bind(ids[1]).run();
+
+		const res = await exportAudit('format=csv');
+		expect(res.status).toBe(200);
+		expect(res.headers.get('Content-Type')).toBe('text/csv; charset=utf-8');
+		expect(res.headers.get('Content-Disposition')).toMatch(/^attachment; filename="alt-text-audit-\d{4}-\d{2}-\d{2}\.csv"$/);
+		const text = await res.text();
+		const lines = text.split('\r\n');
+		expect(lines[0]).toBe('id,source_url,alt_text,status,created_at,updated_at,size,content_type');
+		expect(text.match(/^[0-9a-f-]{36},/gm)).toHaveLength(620);
+		expect(text).toContain(`${ids[0]},https://example.com/0.png,"Says ""hi"", twice\nthen =SUM(A1)",done,`);
+		expect(text).toContain(`${ids[1]},https://example.com/1.png,"'=HYPERLINK(""x"")",pending,`);
+		expect(lines.at(-2)).toMatch(new RegExp(`^${ids[619]},.*,68,image/png$`));
+	});
+
+	it('writes alt-text saved through the API as plain text, not HTML entities', async () => {
+		const { body: { imageId } } = await uploadPng({ description: `It's "R&D"` });
+		const stored = await env.DB.prepare('SELECT alt_text FROM images WHERE id = ?').bind(imageId).first();
+		expect(stored.alt_text).toBe('It&#39;s &quot;R&amp;D&quot;');
+
+		const csv = await (await exportAudit('format=csv&content_type=image/png')).text();
+		expect(csv).toContain(`${imageId},,"It's ""R&D""",done,`);
+		const ndjson = await (await exportAudit('format=ndjson&content_type=image/png')).text();
+		const row = ndjson.trim().split('\n').map(line => JSON.parse(line)).find(r => r.id === imageId);
+		expect(row.alt_text).toBe(`It's "R&D"`);
+		for (const text of [csv, ndjson]) expect(text).not.toMatch(/&(?:#39|amp|quot);/);
+	});
+
+	it('applies the audit filters to NDJSON output', async () => {
+		const insert = env.DB.prepare(`
+			INSERT INTO images (id, source_url, status, content_type, created_at) VALUES (?, ?, ?, ?, datetime('now'))
+		`);
+		const ids = [crypto.randomUUID(), crypto.randomUUID(), crypto.randomUUID()];
+		await env.DB.batch([
+			insert.bind(ids[0], 'https://a.example/1.png', 'done', 'image/png'),
+			insert.bind(ids[1], 'https://b.example/2.png', 'done', 'image/png'),
+			insert.bind(ids[2], 'https://a.example/3.gif', 'pending', 'image/gif'),
+		]);
+
+		const res = await exportAudit('format=ndjson&source_host=a.example&status=done');
+		expect(res.status).toBe(200);
+		expect(res.headers.get('Content-Type')).toBe('application/x-ndjson; charset=utf-8');
+		const rows = (await res.text()).trim().split('\n').map(line => JSON.parse(line));
+		expect(rows).toEqual([{
+			id: ids[0], source_url: 'https://a.example/1.png', alt_text: null, status: 'done',
+			created_at: expect.any(String), updated_at: null, size: null, content_type: 'image/png',
+		}]);
+	});
+
+	it('rejects bad formats and filters, and requires auth', async () => {
+		for (const query of ['format=xlsx', 'status=lost']) {
+			const res = await exportAudit(query);
+			expect(res.status, query).toBe(400);
+			await res.body.cancel();
+		}
+		const res = await SELF.fetch('http://example.com/audit/export');
+		expect(res.status).toBe(401);
+		await res.body?.cancel();
+	});
+});
+
+describe('API keys', () => {
+	const keys = (path = '', init = {}, headers = AUTH) => SELF.fetch(`http://example.com/keys${path}`, {
+		...init,
+		headers: { ...headers, 'Content-Type': 'application/json' },
+	});
+	const create = async (body) => {
+		const res = await keys('', { method: 'POST', body: JSON.stringify(body) });
+		return { status: res.status, body: await res.json() };
+	};
+	const bearer = (key) => ({ Authorization: `Bearer ${key}` });
+
+	beforeAll(applySchema);
+
+	it('creates a key that is shown once and stored only as a hash', async () => {
+		const { status, body } = await create({ owner: 'ana@example.com', scopes: ['read:audit', 'upload'] });
+		expect(status).toBe(201);
+		expect(body).toMatchObject({ owner: 'ana@example.com', scopes: ['read:audit', 'upload'], expires_at: null, revoked_at: null });
+		expect(body.key).toMatch(new RegExp(`^ak_${body.id}_[A-Za-z0-9_-]{43}$`));
+
+		const row = await env.DB.prepare('SELECT key_hash FROM api_keys WHERE id = ?').bind(body.id).first();
+		expect(row.key_hash).toMatch(/^[0-9a-f]{64}$/);
+		expect(row.key_hash).not.toContain(body.key.slice(-43));
+
+		const list = await (await keys()).json();
+		expect(list.data.map(k => k.id)).toContain(body.id);
+		expect(list.data.every(k => !('key' in k) && !('key_hash' in k))).toBe(true);
+	});
+
+	it('grants only the scopes a key holds and records its last use', async () => {
+		const { body: reader } = await create({ owner: 'reader', scopes: ['read:audit'] });
+
+		const audit = await SELF.fetch('http://example.com/audit?limit=1', { headers: bearer(reader.key) });
+		expect(audit.status).toBe(200);
+		await audit.json();
+
+		const upload = await uploadPng({}, bearer(reader.key));
+		expect(upload.status).toBe(403);
+		expect(upload.headers.get('WWW-Authenticate')).toContain('scope="upload"');
+
+		// Only admin keys manage keys.
+		const list = await keys('', {}, bearer(reader.key));
+		expect(list.status).toBe(403);
+		await list.json();
+
+		const row = await env.DB.prepare('SELECT last_used_at FROM api_keys WHERE id = ?').bind(reader.id).first();
+		expect(row.last_used_at).not.toBeNull();
+	});
+
+	it('rejects revoked, expired and tampered keys', async () => {
+		const { body: admin } = await create({ owner: 'admin', scopes: ['admin'] });
+		const { body: revoked } = await create({ owner: 'leaver', scopes: ['read:audit'] });
+		const { body: expiring } = await create({ owner: 'contractor', scopes: ['read:audit'], expires_at: '2999-01-01T00:00:00Z' });
+
+		// An admin key can do anything, including revoking other keys.
+		const revoke = await keys(`/${revoked.id}`, { method: 'DELETE' }, bearer(admin.key));
+		expect(revoke.status).toBe(204);
+		expect((await keys(`/${crypto.randomUUID()}`, { method: 'DELETE' }, bearer(admin.key))).status).toBe(404);
+		await env.DB.prepare("UPDATE api_keys SET expires_at = datetime('now', '-1 minute') WHERE id = ?").bind(expiring.id).run();
+
+		const tampered = revoked.key.slice(0, -1) + (revoked.key.endsWith('A') ? 'B' : 'A');
+		for (const key of [revoked.key, expiring.key, tampered.replace(revoked.id, admin.id), 'ak_nonsense']) {
+			const res = await SELF.fetch('http://example.com/audit?limit=1', { headers: bearer(key) });
+			expect(res.status, key).toBe(401);
+			await res.text();
+		}
+
+		const list = await (await keys()).json();
+		expect(list.data.find(k => k.id === revoked.id).revoked_at).not.toBeNull();
+	});
+
+	it('validates new keys', async () => {
+		for (const body of [
+			{ scopes: ['upload'] },
+			{ owner: 'x', scopes: [] },
+			{ owner: 'x', scopes: ['root'] },
+			{ owner: 'x', scopes: ['upload'], expires_at: '2000-01-01T00:00:00Z' },
+			{ owner: 'x', scopes: ['upload'], expires_at: 'soon' },
+		]) {
+			const { status, body: error } = await create(body);
+			expect(status, JSON.stringify(body)).toBe(400);
+			expect(error.error).toBeTruthy();
+		}
+	});
+});
+
+describe('tenants', () => {
+	const createKey = async (tenant_id, scopes = ['upload', 'read:audit', 'delete']) => {
+		const res = await SELF.fetch('http://example.com/keys', {
+			method: 'POST',
+			headers: { ...AUTH, 'Content-Type': 'application/json' },
+			body: JSON.stringify({ owner: `${tenant_id}@example.com`, tenant_id, scopes }),
+		});
+		return (await res.json()).key;
+	};
+	const as = (key, path, init = {}) => SELF.fetch(`http://example.com${path}`, {
+		...init,
+		headers: { Authorization: `Bearer ${key}`, ...init.headers },
+	});
+
+	beforeAll(applySchema);
+
+	it('stores images under the tenant prefix and records the owner', async () => {
+		const alpha = await createKey('alpha');
+		const { imageId } = (await uploadPng({ description: 'Alpha pixel' }, { Authorization: `Bearer ${alpha}` })).body;
+
+		expect(await env.IMAGES.head(`alpha/${imageId}`)).not.toBeNull();
+		const row = await env.DB.prepare('SELECT tenant_id, owner_id, r2_key FROM images WHERE id = ?').bind(imageId).first();
+		expect(row).toEqual({ tenant_id: 'alpha', owner_id: 'alpha@example.com', r2_key: `alpha/${imageId}` });
+
+		// Serving by id still works, from the prefixed key.
+		const res = await SELF.fetch(`http://example.com/images/${imageId}`);
+		expect(res.status).toBe(200);
+		expect(res.headers.get('X-Alt-Text')).toBe('Alpha pixel');
+		await res.arrayBuffer();
+	});
+
+	it("hides one tenant's images from another", async () => {
+		const alpha = await createKey('alpha');
+		const beta = await createKey('beta');
+		const { imageId } = (await uploadPng({ description: 'Secret alpha diagram' }, { Authorization: `Bearer ${alpha}` })).body;
+		await uploadPng({ description: 'Beta banner' }, { Authorization: `Bearer ${beta}` });
+
+		const audit = async (key, query = '') => (await (await as(key, `/audit?limit=100${query}`)).json()).data.map(r => r.id);
+		expect(await audit(alpha)).toContain(imageId);
+		expect(await audit(beta)).not.toContain(imageId);
+		expect(await audit(beta, `&id=${imageId}`)).toEqual([]);
+
+		const search = await (await as(beta, '/search?q=secret')).json();
+		expect(search.total).toBe(0);
+		const exported = await (await as(beta, '/audit/export?format=ndjson')).text();
+		expect(exported).not.toContain(imageId);
+
+		for (const [path, init] of [
+			[`/images/${imageId}`, { method: 'PATCH', headers: { 'Content-Type': 'application/json' }, body: '{"alt_text":"mine now"}' }],
+			[`/images/${imageId}/regenerate`, { method: 'POST' }],
+			[`/images/${imageId}/similar`, {}],
+			[`/images/${imageId}`, { method: 'DELETE' }],
+		]) {
+			const res = await as(beta, path, init);
+			expect(res.status, `${init.method ?? 'GET'} ${path}`).toBe(404);
+			await res.text();
+		}
+
+		const bulk = await (await as(beta, '/images/regenerate', {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify({ ids: [imageId] }),
+		})).json();
+		expect(bulk).toEqual({ matched: 0, accepted: [], locked: [], failed: [] });
+
+		expect(await env.IMAGES.head(`alpha/${imageId}`)).not.toBeNull();
+		const row = await env.DB.prepare('SELECT alt_text FROM images WHERE id = ?').bind(imageId).first();
+		expect(row.alt_text).toBe('Secret alpha diagram');
+	});
+
+	it("keeps one tenant's private images from another", async () => {
+		const alpha = await createKey('alpha');
+		const beta = await createKey('beta');
+		const { imageId } = (await uploadPng({ description: 'Alpha only', visibility: 'private' }, { Authorization: `Bearer ${alpha}` })).body;
+
+		const unsigned = await as(beta, `/images/${imageId}`);
+		expect(unsigned.status).toBe(403);
+		await unsigned.text();
+		const cross = await as(beta, `/images/${imageId}/sign`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{}' });
+		expect(cross.status).toBe(404);
+		await cross.text();
+
+		const own = await as(alpha, `/images/${imageId}/sign`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{}' });
+		expect(own.status).toBe(200);
+		const signed = await SELF.fetch(`http://example.com${(await own.json()).url}`);
+		expect(signed.status).toBe(200);
+		await signed.arrayBuffer();
+	});
+
+	it("lets a tenant admin manage only its own tenant's keys", async () => {
+		const admin = await createKey('gamma', ['admin']);
+		const other = await createKey('delta');
+		const headers = { 'Content-Type': 'application/json' };
+
+		const own = await as(admin, '/keys', { method: 'POST', headers, body: JSON.stringify({ owner: 'g2', scopes: ['upload'] }) });
+		expect(own.status).toBe(201);
+		expect((await own.json()).tenant_id).toBe('gamma');
+
+		const cross = await as(admin, '/keys', {
+			method: 'POST', headers, body: JSON.stringify({ owner: 'g3', scopes: ['upload'], tenant_id: 'delta' }),
+		});
+		expect(cross.status).toBe(403);
+		await cross.json();
+
+		const list = await (await as(admin, '/keys')).json();
+		expect(new Set(list.data.map(k => k.tenant_id))).toEqual(new Set(['gamma']));
+
+		const otherId = other.split('_')[1];
+		const revoke = await as(admin, `/keys/${otherId}`, { method: 'DELETE' });
+		expect(revoke.status).toBe(404);
+		await revoke.json();
+	});
+});
+
+describe('private images', () => {
+	const sign = async (imageId, body = {}, headers = AUTH) => SELF.fetch(`http://example.com/images/${imageId}/sign`, {
+		method: 'POST',
+		headers: { ...headers, 'Content-Type': 'application/json' },
+		body: JSON.stringify(body),
+	});
+
+	beforeAll(applySchema);
+
+	it('records visibility and rejects unknown values', async () => {
+		const { imageId } = (await uploadPng({ description: 'A private pixel', visibility: 'private' })).body;
+		const row = await env.DB.prepare('SELECT visibility FROM images WHERE id = ?').bind(imageId).first();
+		expect(row.visibility).toBe('private');
+
+		const { status, body } = await uploadPng({ visibility: 'secret' });
+		expect(status).toBe(400);
+		expect(body.error).toMatch(/visibility/);
+	});
+
+	it('serves a private image only through a valid signed link', async () => {
+		const { imageId } = (await uploadPng({ description: 'A private pixel', visibility: 'private' })).body;
+
+		const plain = await SELF.fetch(`http://example.com/images/${imageId}`);
+		expect(plain.status).toBe(403);
+		await plain.json();
+
+		const signed = await sign(imageId, { expires_in: 600 });
+		expect(signed.status).toBe(200);
+		const { url, expires_at } = await signed.json();
+		expect(url).toMatch(new RegExp(`^/images/${imageId}\\?exp=\\d+&sig=[\\w-]{43}$`));
+		expect(Date.parse(expires_at) - Date.now()).toBeGreaterThan(590_000);
+
+		const res = await SELF.fetch(`http://example.com${url}&w=16&format=webp`);
+		expect(res.status).toBe(200);
+		expect(res.headers.get('Cache-Control')).toMatch(/^private, max-age=(59\d|600)$/);
+		expect(res.headers.get('X-Alt-Text')).toBe('A private pixel');
+		await res.arrayBuffer();
+
+		const exp = new URL(url, 'http://example.com').searchParams.get('exp');
+		for (const bad of [
+			url.replace(/sig=./, m => m.endsWith('A') ? 'sig=B' : 'sig=A'),
+			url.replace(`exp=${exp}`, `exp=${Number(exp) + 1}`),
+			`/images/${imageId}?exp=${exp}`,
+		]) {
+			const r = await SELF.fetch(`http://example.com${bad}`);
+			expect(r.status, bad).toBe(403);
+			await r.json();
+		}
+	});
+
+	it('refuses expired links', async () => {
+		const { imageId } = (await uploadPng({ description: 'A private pixel', visibility: 'private' })).body;
+		const res = await SELF.fetch(`http://example.com/images/${imageId}?exp=1000&sig=${'A'.repeat(43)}`);
+		expect(res.status).toBe(403);
+		expect((await res.json()).error).toMatch(/expired/);
+	});
+
+	it('shares one cache entry between links and never serves it unsigned', async () => {
+		const { imageId } = (await uploadPng({ description: 'A private pixel', visibility: 'private' })).body;
+		const first = await (await sign(imageId, { expires_in: 600 })).json();
+		const second = await (await sign(imageId, { expires_in: 1200 })).json();
+		expect(first.url).not.toBe(second.url);
+
+		const ctx = createExecutionContext();
+		const a = await worker.fetch(new Request(`http://example.com${first.url}`), env, ctx);
+		await a.arrayBuffer();
+		await waitOnExecutionContext(ctx);
+
+		const keys = await env.DB.prepare('SELECT cache_key FROM image_cache_keys WHERE image_id = ?').bind(imageId).all();
+		expect(keys.results.map(k => k.cache_key)).toEqual([`http://example.com/images/${imageId}?accept=original&signed=1`]);
+		expect(await caches.default.match(`http://example.com/images/${imageId}?accept=original&signed=1`)).toBeDefined();
+
+		// The second link hits the same entry, and the plain URL still gets 403.
+		await env.IMAGES.delete(`default/${imageId}`);
+		const b = await SELF.fetch(`http://example.com${second.url}`);
+		expect(b.status).toBe(200);
+		expect(b.headers.get('Cache-Control')).toMatch(/^private, max-age=/);
+		await b.arrayBuffer();
+		const plain = await SELF.fetch(`http://example.com/images/${imageId}`);
+		expect(plain.status).toBe(403);
+		await plain.json();
+	});
+
+	it('keeps public images public and signable', async () => {
+		const { imageId } = (await uploadPng({ description: 'A public pixel', visibility: 'public' })).body;
+		const plain = await SELF.fetch(`http://example.com/images/${imageId}`);
+		expect(plain.status).toBe(200);
+		await plain.arrayBuffer();
+
+		const { url } = await (await sign(imageId)).json();
+		const res = await SELF.fetch(`http://example.com${url}`);
+		expect(res.status).toBe(200);
+		await res.arrayBuffer();
+	});
+
+	it('adds signed_url to private audit rows only', async () => {
+		const privateId = (await uploadPng({ description: 'A private pixel', visibility: 'private' })).body.imageId;
+		const publicId = (await uploadPng({ description: 'A public pixel', visibility: 'public' })).body.imageId;
+		const { data } = await (await SELF.fetch('http://example.com/audit?limit=100', { headers: AUTH })).json();
+		const byId = new Map(data.map(r => [r.id, r]));
+
+		expect(byId.get(publicId)).toMatchObject({ visibility: 'public', signed_url: null });
+		const { signed_url } = byId.get(privateId);
+		expect(byId.get(privateId).visibility).toBe('private');
+		const res = await SELF.fetch(`http://example.com${signed_url}&w=16`);
+		expect(res.status).toBe(200);
+		await res.arrayBuffer();
+	});
+
+	it('checks auth, tenant and expires_in when signing', async () => {
+		const { imageId } = (await uploadPng({ description: 'A private pixel', visibility: 'private' })).body;
+
+		const anonymous = await sign(imageId, {}, {});
+		expect(anonymous.status).toBe(401);
+		await anonymous.text();
+
+		const keyRes = await SELF.fetch('http://example.com/keys', {
+			method: 'POST',
+			headers: { ...AUTH, 'Content-Type': 'application/json' },
+			body: JSON.stringify({ owner: 'other@example.com', tenant_id: 'other', scopes: ['read:audit'] }),
+		});
+		const { key } = await keyRes.json();
+		const cross = await sign(imageId, {}, { Authorization: `Bearer ${key}` });
+		expect(cross.status).toBe(404);
+		await cross.json();
+
+		for (const expires_in of [0, 1.5, 8 * 24 * 3600, '60']) {
+			const res = await sign(imageId, { expires_in });
+			expect(res.status, String(expires_in)).toBe(400);
+			await res.json();
+		}
+	});
+});
+
+describe('dashboard sessions', () => {
+	const login = async key => {
+		const res = await SELF.fetch('http://example.com/login', {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify({ key }),
+		});
+		const body = await res.json();
+		const cookies = Object.fromEntries(res.headers.getSetCookie().map(c => c.split(';')[0].split('=')));
+		return { res, body, cookies, Cookie: `iw_session=${cookies.iw_session}; iw_csrf=${cookies.iw_csrf}` };
+	};
+	const patch = (imageId, headers) => SELF.fetch(`http://example.com/images/${imageId}`, {
+		method: 'PATCH',
+		headers: { 'Content-Type': 'application/json', ...headers },
+		body: JSON.stringify({ alt_text: 'Edited over a session' }),
+	});
+
+	beforeAll(applySchema);
+
+	it('exchanges a key for an HttpOnly session cookie and a CSRF token', async () => {
+		const { res, body, cookies, Cookie } = await login('test-token');
+		expect(res.status).toBe(200);
+		expect(body).toMatchObject({ owner: 'admin-token', tenant_id: 'default', csrf_token: cookies.iw_csrf });
+
+		const [session, csrf] = res.headers.getSetCookie();
+		expect(session).toMatch(/^iw_session=[\w-]+\.[\w-]{43}; Path=\/; Max-Age=28800; HttpOnly; Secure; SameSite=Strict$/);
+		expect(csrf).toMatch(/^iw_csrf=[\w-]+; Path=\/; Max-Age=28800; Secure; SameSite=Strict$/);
+
+		const audit = await SELF.fetch('http://example.com/audit?limit=1', { headers: { Cookie } });
+		expect(audit.status).toBe(200);
+		await audit.json();
+	});
+
+	it('rejects an unknown key and a tampered cookie', async () => {
+		const { res, body } = await login('not-a-key');
+		expect(res.status).toBe(401);
+		expect(body.error).toBe('Invalid key');
+
+		const { cookies } = await login('test-token');
+		const [id, sig] = cookies.iw_session.split('.');
+		const forged = await SELF.fetch('http://example.com/audit', {
+			headers: { Cookie: `iw_session=${crypto.randomUUID()}.${sig}` },
+		});
+		expect(forged.status).toBe(401);
+		await forged.text();
+		const resigned = await SELF.fetch('http://example.com/audit', {
+			headers: { Cookie: `iw_session=${id}.${sig.slice(1)}A` },
+		});
+		expect(resigned.status).toBe(401);
+		await resigned.text();
+	});
+
+	it('requires the CSRF token on cookie-authenticated writes', async () => {
+		const { imageId } = (await uploadPng({ description: 'Session pixel' })).body;
+		const { cookies, Cookie } = await login('test-token');
+
+		for (const headers of [
+			{ Cookie },
+			{ Cookie, 'X-CSRF-Token': crypto.randomUUID() },
+			{ Cookie, 'X-CSRF-Token': cookies.iw_csrf, Origin: 'https://evil.example' },
+		]) {
+			const res = await patch(imageId, headers);
+			expect(res.status).toBe(403);
+			expect((await res.json()).error).toMatch(/CSRF/);
+		}
+
+		const ok = await patch(imageId, { Cookie, 'X-CSRF-Token': cookies.iw_csrf, Origin: 'http://example.com' });
+		expect(ok.status).toBe(200);
+		await ok.json();
+
+		// Bearer requests carry no ambient credential and need no token.
+		const bearer = await patch(imageId, AUTH);
+		expect(bearer.status).toBe(200);
+		await bearer.json();
+	});
+
+	it('revokes the session on logout', async () => {
+		const { cookies, Cookie } = await login('test-token');
+
+		const refused = await SELF.fetch('http://example.com/logout', { method: 'POST', headers: { Cookie } });
+		expect(refused.status).toBe(403);
+		await refused.json();
+
+		const res = await SELF.fetch('http://example.com/logout', {
+			method: 'POST',
+			headers: { Cookie, 'X-CSRF-Token': cookies.iw_csrf },
+		});
+		expect(res.status).toBe(204);
+		expect(res.headers.getSetCookie().every(c => c.includes('Max-Age=0'))).toBe(true);
+
+		// The old cookie is dead even if the browser kept it.
+		const audit = await SELF.fetch('http://example.com/audit', { headers: { Cookie } });
+		expect(audit.status).toBe(401);
+		await audit.text();
+	});
+
+	it('ends the session when its API key is revoked, and keeps the key scopes', async () => {
+		const created = await (await SELF.fetch('http://example.com/keys', {
+			method: 'POST',
+			headers: { ...AUTH, 'Content-Type': 'application/json' },
+			body: JSON.stringify({ owner: 'viewer@example.com', scopes: ['read:audit'] }),
+		})).json();
+		const { cookies, Cookie } = await login(created.key);
+
+		const { imageId } = (await uploadPng({ description: 'Session pixel' })).body;
+		const denied = await patch(imageId, { Cookie, 'X-CSRF-Token': cookies.iw_csrf });
+		expect(denied.status).toBe(403);
+		expect((await denied.json()).error).toMatch(/upload scope/);
+
+		const revoke = await SELF.fetch(`http://example.com/keys/${created.id}`, { method: 'DELETE', headers: AUTH });
+		expect(revoke.status).toBe(204);
+
+		const audit = await SELF.fetch('http://example.com/audit', { headers: { Cookie } });
+		expect(audit.status).toBe(401);
+		await audit.text();
+	});
+	it('ends an ADMIN_TOKEN session when the token is rotated', async () => {
+		const { Cookie } = await login('test-token');
+		const record = await env.SESSIONS.get(`session:${Cookie.match(/iw_session=([\w-]+)\./)[1]}`, 'json');
+		expect(record.adminTokenHash).toMatch(/^[0-9a-f]{64}$/);
+		expect(JSON.stringify(record)).not.toContain('test-token');
+
+		const audit = (token) => worker.fetch(
+			new Request('http://example.com/audit?limit=1', { headers: { Cookie } }),
+			{ ...env, ADMIN_TOKEN: token },
+			createExecutionContext(),
+		);
+		const same = await audit('test-token');
+		expect(same.status).toBe(200);
+		await same.json();
+		const rotated = await audit('rotated-token');
+		expect(rotated.status).toBe(401);
+		await rotated.text();
+	});
+});
+
+describe('activity log', () => {
+	const IP = { 'CF-Connecting-IP': '203.0.113.7' };
+	const activity = async (query = '', headers = AUTH) => {
+		const res = await SELF.fetch(`http://example.com/activity${query}`, { headers });
+		return { status: res.status, body: await res.json() };
+	};
+	const createKey = async (body) => (await SELF.fetch('http://example.com/keys', {
+		method: 'POST',
+		headers: { ...AUTH, ...IP, 'Content-Type': 'application/json' },
+		body: JSON.stringify(body),
+	})).json();
+	const upload = async (key, description = 'Logged pixel') =>
+		(await uploadPng({ description }, { Authorization: `Bearer ${key}`, ...IP })).body.imageId;
+	const patch = (key, imageId, alt_text) => SELF.fetch(`http://example.com/images/${imageId}`, {
+		method: 'PATCH',
+		headers: { Authorization: `Bearer ${key}`, ...IP, 'Content-Type': 'application/json' },
+		body: JSON.stringify({ alt_text }),
+	});
+
+	beforeAll(applySchema);
+
+	it('records uploads, edits and deletes with actor, IP and before/after values', async () => {
+		const editor = await createKey({ owner: 'editor@example.com', tenant_id: 'log', scopes: ['upload', 'delete'] });
+		const imageId = await upload(editor.key, 'First words');
+		await (await patch(editor.key, imageId, 'Second words')).json();
+		const del = await SELF.fetch(`http://example.com/images/${imageId}`, {
+			method: 'DELETE',
+			headers: { Authorization: `Bearer ${editor.key}`, ...IP },
+		});
+		expect(del.status).toBe(204);
+
+		const { status, body } = await activity(`?tenant_id=log&target_id=${imageId}`);
+		expect(status).toBe(200);
+		expect(body.data.map(e => e.action)).toEqual(['image.delete', 'alt_text.edit', 'image.upload']);
+		const [deleted, edited, uploaded] = body.data;
+		for (const entry of body.data) {
+			expect(entry).toMatchObject({ tenant_id: 'log', actor: 'editor@example.com', key_id: editor.id, ip: '203.0.113.7' });
+			expect(entry.created_at).toMatch(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/);
+		}
+		expect(uploaded).toMatchObject({
+			before: null,
+			after: { content_type: 'image/png', visibility: 'public', alt_text: 'First words', source_url: null },
+		});
+		expect(edited.before).toEqual({ lang: 'en', alt_text: 'First words', alt_text_source: 'human' });
+		expect(edited.after).toEqual({ lang: 'en', alt_text: 'Second words', alt_text_source: 'human' });
+		expect(deleted).toMatchObject({ before: { r2_key: `log/${imageId}`, alt_text: 'Second words' }, after: null });
+	});
+
+	it('records each image of a bulk regenerate as it finishes', async () => {
+		const editor = await createKey({ owner: 'bulk@example.com', tenant_id: 'log-bulk', scopes: ['upload'] });
+		const ids = [await upload(editor.key, 'Old one'), await upload(editor.key, 'Old two')];
+		const res = await SELF.fetch('http://example.com/images/regenerate', {
+			method: 'POST',
+			headers: { Authorization: `Bearer ${editor.key}`, ...IP, 'Content-Type': 'application/json' },
+			body: JSON.stringify({ ids }),
+		});
+		expect((await res.json()).accepted).toEqual(ids);
+
+		const { body } = await activity('?tenant_id=log-bulk&action=image.regenerate');
+		expect(body.data).toHaveLength(2);
+		for (const [i, id] of ids.entries()) {
+			const entry = body.data.find(e => e.target_id === id);
+			expect(entry).toMatchObject({ actor: 'bulk@example.com', key_id: editor.id, ip: '203.0.113.7' });
+			expect(entry.before).toEqual({ alt_text: i ? 'Old two' : 'Old one', alt_text_source: 'human' });
+			expect(entry.after).toEqual({ alt_text: expect.stringMatching(/^Mock alt description/), alt_text_source: 'ai' });
+		}
+		const { body: bulk } = await activity('?tenant_id=log-bulk&action=image.regenerate_bulk');
+		expect(bulk.data[0].after).toMatchObject({ matched: 2, accepted: ids });
+	});
+
+	it('records key changes under the key tenant', async () => {
+		const created = await createKey({ owner: 'temp@example.com', tenant_id: 'log-keys', scopes: ['upload'] });
+		const revoke = await SELF.fetch(`http://example.com/keys/${created.id}`, { method: 'DELETE', headers: { ...AUTH, ...IP } });
+		expect(revoke.status).toBe(204);
+
+		const { body } = await activity('?tenant_id=log-keys');
+		expect(body.data.map(e => e.action)).toEqual(['api_key.revoke', 'api_key.create']);
+		expect(body.data[1]).toMatchObject({ actor: 'admin-token', key_id: null, target_id: created.id });
+		expect(body.data[1].after).toMatchObject({ owner: 'temp@example.com', scopes: ['upload'], tenant_id: 'log-keys' });
+		expect(JSON.stringify(body.data)).not.toContain(created.key.split('_')[2]);
+		expect(body.data[0].after.revoked_at).toBeTruthy();
+	});
+
+	it('filters, pages by cursor and validates its parameters', async () => {
+		const editor = await createKey({ owner: 'pager@example.com', tenant_id: 'log-pages', scopes: ['upload'] });
+		for (let i = 0; i < 3; i++) await upload(editor.key);
+
+		const first = await activity('?tenant_id=log-pages&action=image.upload&limit=2');
+		expect(first.body.data).toHaveLength(2);
+		expect(first.body.next_cursor).toBe(String(first.body.data[1].seq));
+		const second = await activity(`?tenant_id=log-pages&action=image.upload&limit=2&cursor=${first.body.next_cursor}`);
+		expect(second.body.data).toHaveLength(1);
+		expect(second.body.next_cursor).toBeNull();
+		expect((await activity('?tenant_id=log-pages&actor=nobody')).body.data).toEqual([]);
+
+		for (const query of ['?action=image.steal', '?from=yesterday', '?cursor=abc']) {
+			const { status } = await activity(query);
+			expect(status, query).toBe(400);
+		}
+	});
+
+	it('is admin-only and confined to the tenant', async () => {
+		const reader = await createKey({ owner: 'reader@example.com', tenant_id: 'log', scopes: ['read:audit'] });
+		expect((await activity('', { Authorization: `Bearer ${reader.key}` })).status).toBe(403);
+
+		const admin = await createKey({ owner: 'boss@example.com', tenant_id: 'log-admin', scopes: ['admin'] });
+		const bearer = { Authorization: `Bearer ${admin.key}` };
+		expect((await activity('?tenant_id=log', bearer)).status).toBe(403);
+		const own = await activity('', bearer);
+		expect(own.status).toBe(200);
+		expect(own.body.data.every(e => e.tenant_id === 'log-admin')).toBe(true);
+	});
+
+	it('is append-only and chains every entry, even under concurrent writes', async () => {
+		const editor = await createKey({ owner: 'racer@example.com', tenant_id: 'log-chain', scopes: ['upload'] });
+		const imageId = await upload(editor.key);
+		await Promise.all([1, 2, 3, 4].map(async n => (await patch(editor.key, imageId, `Edit ${n}`)).json()));
+
+		const { body } = await activity('?tenant_id=log-chain&verify=true');
+		expect(body).toMatchObject({ verified: true, entries: 6, broken_at: null });
+		expect(body.head).toMatch(/^[0-9a-f]{64}$/);
+
+		await expect(env.DB.prepare("UPDATE activity_log SET actor = 'someone else' WHERE tenant_id = 'log-chain'").run())
+			.rejects.toThrow(/append-only/);
+		await expect(env.DB.prepare("DELETE FROM activity_log WHERE tenant_id = 'log-chain'").run())
+			.rejects.toThrow(/append-only/);
+	});
+
+	it('detects a row edited behind the triggers', async () => {
+		const editor = await createKey({ owner: 'victim@example.com', tenant_id: 'log-tamper', scopes: ['upload'] });
+		await upload(editor.key, 'One');
+		await upload(editor.key, 'Two');
+		const { body: log } = await activity('?tenant_id=log-tamper&action=image.upload');
+		const older = log.data[1];
+
+		await env.DB.prepare('DROP TRIGGER activity_log_no_update').run();
+		try {
+			await env.DB.prepare("UPDATE activity_log SET ip = '198.51.100.1' WHERE seq = ?").bind(older.seq).run();
+		} finally {
+			await applySchema();
+		}
+
+		const { body } = await activity('?tenant_id=log-tamper&verify=true');
+		expect(body).toMatchObject({ verified: false, broken_at: older.seq });
+	});
+});
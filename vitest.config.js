@@ -4,7 +4,20 @@ export default defineWorkersConfig({
 	test: {
 		poolOptions: {
 			workers: {
+				// The mock AI provider needs no Workers AI binding, so tests run offline.
+				remoteBindings: false,
 				wrangler: { configPath: './wrangler.jsonc' },
+				miniflare: {
+					bindings: {
+						ADMIN_TOKEN: 'test-token',
+						SIGNING_SECRET: 'test-signing-secret',
+						SESSION_SECRET: 'test-session-secret',
+						IMAGE_TRANSFORMER: 'stub',
+						JOB_QUEUE: 'memory',
+						AI_PROVIDER: 'mock',
+						VECTOR_INDEX: 'memory',
+					},
+				},
 			},
 		},
 	},